@@ -10,7 +10,7 @@ export default [
   {
     input: 'src/index.js',
     output: {
-      file: pkg.browser,
+      file: pkg.unpkg,
       format: 'umd'
     },
     name: 'scroll-snap-polyfill',
@@ -0,0 +1,37 @@
+export const NONE = 'none'
+export const START = 'start'
+export const END = 'end'
+export const PROXIMITY = 'proximity'
+export const AXES = ['y', 'x']
+
+/**
+ * the default writing mode, used until the writing mode of an element is known.
+ * `reversed` is set when the x axis starts at the right, like in rtl or vertical-rl.
+ * @type {Object}
+ */
+export const HORIZONTAL_TB = {
+  name: 'horizontal-tb',
+  vertical: false,
+  blockStart: 'top',
+  inlineStart: 'left',
+  reversed: false
+}
+
+export const ALWAYS = 'always'
+export const SMOOTH = 'smooth'
+export const INSTANT = 'instant'
+
+/**
+ * range for proximity snapping.
+ * with `scroll-snap-type: * proximity` the container only snaps on an axis
+ * when the snap point is closer than this fraction of the snapport size.
+ * @type {Number}
+ */
+export const PROXIMITY_RANGE = 0.3
+
+/**
+ * time in ms the wheel events of a trackpad can be apart while its inertia decays.
+ * no snap happens before the last wheel event is this old.
+ * @type {Number}
+ */
+export const WHEEL_TIMEOUT = 150
@@ -0,0 +1,181 @@
+const OVERLAY_CLASS = 'scroll-snap-debug'
+
+/**
+ * colors of the overlay parts
+ * @type {Object}
+ */
+const COLORS = {
+  snapport: 'rgba(0, 120, 255, 0.9)',
+  area: 'rgba(120, 120, 120, 0.6)',
+  line: 'rgba(255, 0, 140, 0.9)',
+  band: 'rgba(255, 200, 0, 0.25)',
+  target: 'rgba(0, 200, 80, 0.9)'
+}
+
+/**
+ * the element holding the overlays of all containers, fixed to the viewport
+ * @type {Object}
+ */
+let overlayRoot = null
+
+/**
+ * check whether a node belongs to the debug overlay, it must not be taken for a snap element or a stylesheet change.
+ * @param  {Object}  node
+ * @return {Boolean}
+ */
+export function isOverlay (node) {
+  return overlayRoot !== null && (node === overlayRoot || overlayRoot.contains(node))
+}
+
+/**
+ * draw the overlay of a container with the next animation frame, repeated requests in a frame draw once.
+ * @param  {Object}   obj         the scroll container
+ * @param  {Function} getSnapshot returns the geometry to draw, null if there is nothing to draw
+ */
+export function drawOverlay (obj, getSnapshot) {
+  if (obj.scrollSnapOverlayFrame) {
+    return
+  }
+
+  const requestFrame = window.requestAnimationFrame || ((callback) => setTimeout(callback, 16))
+  obj.scrollSnapOverlayFrame = requestFrame(() => {
+    obj.scrollSnapOverlayFrame = null
+    const snapshot = getSnapshot()
+
+    if (snapshot === null) {
+      removeOverlay(obj)
+    } else {
+      renderOverlay(obj, snapshot)
+    }
+  })
+}
+
+/**
+ * remove the overlay of a container, and the overlay root with the last one.
+ * @param  {Object} obj the scroll container
+ */
+export function removeOverlay (obj) {
+  if (obj.scrollSnapOverlayFrame) {
+    const cancelFrame = window.cancelAnimationFrame || clearTimeout
+    cancelFrame(obj.scrollSnapOverlayFrame)
+    obj.scrollSnapOverlayFrame = null
+  }
+
+  const layer = obj.scrollSnapOverlay
+  if (!layer) {
+    return
+  }
+
+  layer.parentNode.removeChild(layer)
+  delete obj.scrollSnapOverlay
+
+  if (overlayRoot !== null && !overlayRoot.firstChild) {
+    overlayRoot.parentNode.removeChild(overlayRoot)
+    overlayRoot = null
+  }
+}
+
+/**
+ * log a snap decision with its inputs.
+ * @param  {Object} obj      the scroll container
+ * @param  {Object} decision
+ */
+export function logDecision (obj, decision) {
+  // old browsers only have a console while the developer tools are open
+  if (typeof window.console === 'undefined') {
+    return
+  }
+
+  window.console.log('[scroll-snap]', obj, decision)
+}
+
+/**
+ * render the overlay of a container.
+ * the snapshot holds boxes and lines relative to the snapport of the container:
+ * the snapport rect in the viewport, the padded snapport, the snap areas with their alignment lines,
+ * the threshold band around the snap position and the index of the target snap element.
+ * @param  {Object} obj      the scroll container
+ * @param  {Object} snapshot
+ */
+function renderOverlay (obj, snapshot) {
+  if (overlayRoot === null) {
+    overlayRoot = document.createElement('div')
+    overlayRoot.className = OVERLAY_CLASS
+    setStyle(overlayRoot, { position: 'fixed', top: 0, left: 0, width: 0, height: 0, zIndex: 2147483647, pointerEvents: 'none' })
+    document.documentElement.appendChild(overlayRoot)
+  }
+
+  if (!obj.scrollSnapOverlay) {
+    obj.scrollSnapOverlay = document.createElement('div')
+    overlayRoot.appendChild(obj.scrollSnapOverlay)
+  }
+
+  const layer = obj.scrollSnapOverlay
+  const { rect, padded, areas, band, target } = snapshot
+
+  setStyle(layer, { position: 'absolute', overflow: 'hidden' }, rect)
+  // the overlay is redrawn as a whole, it only exists while debugging
+  layer.innerHTML = ''
+
+  areas.forEach((area, index) => {
+    addBox(layer, area.box, index === target ? COLORS.target : COLORS.area, index === target ? 'solid' : 'dotted')
+    if (!isNaN(area.line.y)) {
+      addBox(layer, { top: area.line.y, left: 0, width: rect.width, height: 0 }, COLORS.line, 'solid')
+    }
+    if (!isNaN(area.line.x)) {
+      addBox(layer, { top: 0, left: area.line.x, width: 0, height: rect.height }, COLORS.line, 'solid')
+    }
+  })
+
+  if (band.y) {
+    addBand(layer, { top: band.y.start, left: 0, width: rect.width, height: band.y.end - band.y.start })
+  }
+  if (band.x) {
+    addBand(layer, { top: 0, left: band.x.start, width: band.x.end - band.x.start, height: rect.height })
+  }
+
+  addBox(layer, padded, COLORS.snapport, 'dashed')
+}
+
+/**
+ * add an outlined box to a layer
+ * @param {Object} layer
+ * @param {Object} box   top, left, width and height in px
+ * @param {String} color
+ * @param {String} line  the border style
+ */
+function addBox (layer, box, color, line) {
+  const el = document.createElement('div')
+  setStyle(el, { position: 'absolute', boxSizing: 'border-box', border: `1px ${line} ${color}` }, box)
+  layer.appendChild(el)
+}
+
+/**
+ * add a threshold band to a layer
+ * @param {Object} layer
+ * @param {Object} box   top, left, width and height in px
+ */
+function addBand (layer, box) {
+  const el = document.createElement('div')
+  setStyle(el, { position: 'absolute', background: COLORS.band }, box)
+  layer.appendChild(el)
+}
+
+/**
+ * set the styles of an overlay element, and its position and size in px.
+ * @param {Object} el
+ * @param {Object} styles
+ * @param {Object} box    top, left, width and height in px, optional
+ */
+function setStyle (el, styles, box) {
+  Object.keys(styles).forEach((name) => {
+    el.style[name] = styles[name]
+  })
+
+  if (box) {
+    el.style.top = `${Math.round(box.top)}px`
+    el.style.left = `${Math.round(box.left)}px`
+    el.style.width = `${Math.max(0, Math.round(box.width))}px`
+    el.style.height = `${Math.max(0, Math.round(box.height))}px`
+  }
+}
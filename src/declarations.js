@@ -0,0 +1,232 @@
+import { parseLength, splitLengths } from './length'
+import { parseSnapPoints } from './legacy'
+import { ALWAYS, HORIZONTAL_TB, NONE, PROXIMITY } from './constants'
+
+const MANDATORY = 'mandatory'
+const NORMAL = 'normal'
+const OPPOSITE_SIDES = {
+  top: 'bottom',
+  right: 'left',
+  bottom: 'top',
+  left: 'right'
+}
+
+/**
+ * parse scroll snap type values.
+ * the axis is one of x, y, block, inline or both, the strictness defaults to proximity.
+ * the single keyword syntax of the older spec (`mandatory`, `proximity`) snaps on both axes.
+ * @param  {Object} declaration
+ * @param  {Object} writingMode writing mode of the scroll container
+ * @return {Object}
+ */
+export function parseScrollSnapType (declaration, writingMode) {
+  const { 'scroll-snap-type': snapType } = declaration
+  let axis = NONE
+  let strictness = PROXIMITY
+
+  if (typeof snapType !== 'undefined') {
+    const parts = snapType.trim().toLowerCase().split(/\s+/)
+
+    if (parts[0] === MANDATORY || parts[0] === PROXIMITY) {
+      axis = 'both'
+      strictness = parts[0]
+    } else {
+      axis = parts[0]
+      strictness = parts[1] === MANDATORY ? MANDATORY : PROXIMITY
+    }
+  }
+
+  // block and inline map to y and x in horizontal writing modes, to x and y in vertical ones
+  const vertical = (writingMode || HORIZONTAL_TB).vertical
+  const xAxis = vertical ? 'block' : 'inline'
+  const yAxis = vertical ? 'inline' : 'block'
+
+  return {
+    x: axis === 'x' || axis === xAxis || axis === 'both',
+    y: axis === 'y' || axis === yAxis || axis === 'both',
+    strictness
+  }
+}
+
+/**
+ * check whether CSS declarations have a part that applies to snap elements.
+ * @param  {Object}  declaration
+ * @return {Boolean}
+ */
+export function hasSnapElementDeclaration (declaration) {
+  return typeof declaration['scroll-snap-align'] !== 'undefined' ||
+    typeof declaration['scroll-snap-stop'] !== 'undefined' ||
+    hasBoxLengths(declaration, 'scroll-margin') ||
+    hasBoxLengths(declaration, 'scroll-snap-margin')
+}
+
+/**
+ * check whether CSS declarations have a part that applies to scroll-containers.
+ * @param  {Object}  declaration
+ * @return {Boolean}
+ */
+export function hasContainerDeclaration (declaration) {
+  return typeof declaration['scroll-snap-type'] !== 'undefined' ||
+    typeof declaration['scroll-behavior'] !== 'undefined' ||
+    hasBoxLengths(declaration, 'scroll-padding') ||
+    hasSnapPointsDeclaration(declaration)
+}
+
+/**
+ * parse snap stop value.
+ * @param  {Object} declaration
+ * @return {String} always or normal
+ */
+export function parseScrollSnapStop (declaration) {
+  const { 'scroll-snap-stop': snapStop } = declaration
+  return typeof snapStop !== 'undefined' && snapStop.trim().toLowerCase() === ALWAYS ? ALWAYS : NORMAL
+}
+
+/**
+ * parse snap alignment values.
+ * the first value is the alignment on the block axis, the second the one on the inline axis.
+ * @param  {Object} declaration
+ * @return {Object}
+ */
+export function parseScrollSnapAlignment (declaration) {
+  const { 'scroll-snap-align': snapAlign } = declaration
+  let blockAlign = NONE
+  let inlineAlign = NONE
+
+  if (typeof snapAlign !== 'undefined') {
+    // calculate scroll snap align
+    const parts = snapAlign.trim().toLowerCase().split(/\s+/)
+    blockAlign = parts[0]
+    inlineAlign = parts.length > 1 ? parts[1] : blockAlign
+  }
+
+  return {
+    block: blockAlign,
+    inline: inlineAlign
+  }
+}
+
+/**
+ * parse scroll padding values.
+ * @param  {Object} declaration
+ * @param  {Object} defaults    values for the sides that are not declared
+ * @param  {Object} writingMode writing mode of the scroll container
+ * @return {Object}
+ */
+export function parseScrollPadding (declaration, defaults, writingMode) {
+  return parseBoxLengths(declaration, 'scroll-padding', defaults, writingMode)
+}
+
+/**
+ * parse scroll margin values.
+ * scroll-snap-margin is the name Safari shipped, scroll-margin takes precedence.
+ * @param  {Object} declaration
+ * @param  {Object} defaults    values for the sides that are not declared
+ * @param  {Object} writingMode writing mode of the snap element
+ * @return {Object}
+ */
+export function parseScrollMargin (declaration, defaults, writingMode) {
+  return parseBoxLengths(declaration, 'scroll-margin', parseBoxLengths(declaration, 'scroll-snap-margin', defaults, writingMode), writingMode)
+}
+
+/**
+ * parse the values of a box property and its longhands, like scroll-padding, scroll-padding-top
+ * or scroll-padding-inline-start. logical longhands are mapped to the physical sides of the writing mode.
+ * @param  {Object} declaration
+ * @param  {String} property    name of the shorthand property
+ * @param  {Object} defaults    values for the sides that are not declared
+ * @param  {Object} writingMode writing mode of the element the property applies to
+ * @return {Object}
+ */
+function parseBoxLengths (declaration, property, defaults, writingMode) {
+  const zero = { value: 0, unit: 'px' }
+  const sides = getLogicalSides(writingMode || HORIZONTAL_TB)
+  const box = {
+    top: defaults ? defaults.top : zero,
+    right: defaults ? defaults.right : zero,
+    bottom: defaults ? defaults.bottom : zero,
+    left: defaults ? defaults.left : zero
+  }
+
+  // apply the declarations in their order, later declarations win like in the cascade.
+  Object.keys(declaration).forEach((name) => {
+    if (name !== property && name.indexOf(`${property}-`) !== 0) {
+      return
+    }
+
+    const values = splitLengths(declaration[name]).map(parseLength)
+    const longhand = name.slice(property.length + 1)
+    if (values.length === 0) {
+      return
+    }
+
+    if (longhand === '') {
+      // one to four values: top, right, bottom, left
+      box.top = values[0]
+      box.right = values[1] || values[0]
+      box.bottom = values[2] || values[0]
+      box.left = values[3] || box.right
+    } else if (longhand === 'block' || longhand === 'inline') {
+      // one or two values: start, end
+      box[sides[`${longhand}-start`]] = values[0]
+      box[sides[`${longhand}-end`]] = values[1] || values[0]
+    } else if (typeof sides[longhand] !== 'undefined') {
+      box[sides[longhand]] = values[0]
+    } else if (typeof box[longhand] !== 'undefined') {
+      box[longhand] = values[0]
+    }
+  })
+
+  return box
+}
+
+/**
+ * map the logical sides of a writing mode to physical sides
+ * @param  {Object} writingMode
+ * @return {Object}
+ */
+function getLogicalSides (writingMode) {
+  const { blockStart, inlineStart } = writingMode
+  return {
+    'block-start': blockStart,
+    'block-end': OPPOSITE_SIDES[blockStart],
+    'inline-start': inlineStart,
+    'inline-end': OPPOSITE_SIDES[inlineStart]
+  }
+}
+
+/**
+ * check whether CSS declarations contain a box property or one of its longhands.
+ * @param  {Object}  declaration
+ * @param  {String}  property    name of the shorthand property
+ * @return {Boolean}
+ */
+export function hasBoxLengths (declaration, property) {
+  return Object.keys(declaration).some((name) => name === property || name.indexOf(`${property}-`) === 0)
+}
+
+/**
+ * check whether a declaration has snap points of the older spec
+ * @param  {Object}  declaration
+ * @return {Boolean}
+ */
+export function hasSnapPointsDeclaration (declaration) {
+  return typeof declaration['scroll-snap-points-x'] !== 'undefined' ||
+    typeof declaration['scroll-snap-points-y'] !== 'undefined'
+}
+
+/**
+ * parse scroll-snap-points-x and scroll-snap-points-y, the intervals of the snap points on each axis.
+ * @param  {Object} declaration
+ * @param  {Object} defaults    intervals declared by other rules
+ * @return {Object}
+ */
+export function parseScrollSnapPoints (declaration, defaults) {
+  const points = defaults || { x: null, y: null }
+  const { 'scroll-snap-points-x': pointsX, 'scroll-snap-points-y': pointsY } = declaration
+
+  return {
+    x: typeof pointsX !== 'undefined' ? parseSnapPoints(pointsX) : points.x,
+    y: typeof pointsY !== 'undefined' ? parseSnapPoints(pointsY) : points.y
+  }
+}
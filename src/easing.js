@@ -0,0 +1,133 @@
+const CUBIC_BEZIER_REGEX = /^cubic-bezier\(\s*([^,\s]+)\s*,\s*([^,\s]+)\s*,\s*([^,\s]+)\s*,\s*([^,\s)]+)\s*\)$/i
+
+/**
+ * precision for solving the x coordinate of a cubic bezier curve
+ * @type {Number}
+ */
+const EPSILON = 1e-6
+
+/**
+ * create an easing function from a cubic bezier curve, like the CSS cubic-bezier() timing function.
+ * thanks to:
+ * http://blog.greweb.fr/2012/02/bezier-curve-based-easing-functions-from-concept-to-implementation/
+ * @param  {Number} x1
+ * @param  {Number} y1
+ * @param  {Number} x2
+ * @param  {Number} y2
+ * @return {Function}  easing function mapping the timing to the easing factor
+ */
+export function cubicBezier (x1, y1, x2, y2) {
+  // polynomial coefficients, the curve starts at (0, 0) and ends at (1, 1)
+  const cx = 3 * x1
+  const bx = 3 * (x2 - x1) - cx
+  const ax = 1 - cx - bx
+  const cy = 3 * y1
+  const by = 3 * (y2 - y1) - cy
+  const ay = 1 - cy - by
+
+  const sampleX = (t) => ((ax * t + bx) * t + cx) * t
+  const sampleY = (t) => ((ay * t + by) * t + cy) * t
+  const sampleDerivativeX = (t) => (3 * ax * t + 2 * bx) * t + cx
+
+  // find the curve parameter for an x coordinate
+  const solveX = function (x) {
+    let t = x
+
+    // newton-raphson is fast for most curves
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x
+      if (Math.abs(error) < EPSILON) {
+        return t
+      }
+      const derivative = sampleDerivativeX(t)
+      if (Math.abs(derivative) < EPSILON) {
+        break
+      }
+      t = t - error / derivative
+    }
+
+    // fall back to bisection
+    let lower = 0
+    let upper = 1
+    t = x
+    while (lower < upper) {
+      const sample = sampleX(t)
+      if (Math.abs(sample - x) < EPSILON) {
+        return t
+      }
+      if (x > sample) {
+        lower = t
+      } else {
+        upper = t
+      }
+      if (upper - lower < EPSILON) {
+        return t
+      }
+      t = (upper - lower) / 2 + lower
+    }
+    return t
+  }
+
+  return function (t) {
+    if (t <= 0) {
+      return 0
+    }
+    if (t >= 1) {
+      return 1
+    }
+    return sampleY(solveX(t))
+  }
+}
+
+/**
+ * easing presets, the CSS timing function keywords plus cubic variants
+ * @type {Object}
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  'ease-in': cubicBezier(0.42, 0, 1, 1),
+  'ease-out': cubicBezier(0, 0, 0.58, 1),
+  'ease-in-out': cubicBezier(0.42, 0, 0.58, 1),
+  'ease-in-cubic': (t) => t * t * t,
+  'ease-out-cubic': (t) => 1 - Math.pow(1 - t, 3),
+  'ease-in-out-cubic': (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+}
+
+/**
+ * get an easing function from an easing option.
+ * @param  {Function|String|Array} easing a function, the name of a preset, a `cubic-bezier()` string
+ *                                        or the four control point coordinates of a cubic bezier curve
+ * @return {Function}                     null if the easing is invalid
+ */
+export function parseEasing (easing) {
+  if (typeof easing === 'function') {
+    return easing
+  }
+
+  if (Object.prototype.toString.call(easing) === '[object Array]' && easing.length === 4) {
+    return cubicBezier(easing[0], easing[1], easing[2], easing[3])
+  }
+
+  if (typeof easing !== 'string') {
+    return null
+  }
+
+  const name = easing.trim().toLowerCase()
+  if (EASINGS.hasOwnProperty(name)) {
+    return EASINGS[name]
+  }
+
+  const result = CUBIC_BEZIER_REGEX.exec(name)
+  if (result === null) {
+    return null
+  }
+
+  const points = result.slice(1).map(parseFloat)
+  // x coordinates outside of [0, 1] don't make a function of time
+  if (points.some(isNaN) || points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+    return null
+  }
+
+  return cubicBezier(points[0], points[1], points[2], points[3])
+}
@@ -0,0 +1,464 @@
+import { toPx } from './length'
+import { END, HORIZONTAL_TB, START } from './constants'
+
+const CENTER = 'center'
+const NEGATIVE = 'negative'
+const REVERSE = 'reverse'
+const DEFAULT = 'default'
+
+/**
+ * return the element scroll events and snap state are bound to.
+ * the scroll snap attributes on the body/html tag apply to the document.
+ * @param  {Object} el HTML element
+ * @return {Object}
+ */
+export function getScrollContainer (el) {
+  const tag = el.tagName
+
+  if (tag && (tag.toLowerCase() === 'body' ||
+      tag.toLowerCase() === 'html')) {
+    return document
+  }
+
+  return el
+}
+
+/**
+ * get the snap alignment of a snap element on the x and y axis of its scroll container.
+ * start and end on the x axis are relative to the start of the container, see getOffsetLeft.
+ * @param  {Object} snapElement
+ * @param  {Object} obj         the scroll container
+ * @return {Object}
+ */
+export function getSnapAlignment (snapElement, obj) {
+  const { block, inline } = snapElement.scrollSnapAlignment
+  const writingMode = obj.writingMode || HORIZONTAL_TB
+
+  return writingMode.vertical ? { x: block, y: inline } : { x: inline, y: block }
+}
+
+/**
+ * get the writing mode of an element, which decides how the logical axes and sides map to physical ones.
+ * @param  {Object} el
+ * @return {Object}
+ */
+export function getWritingMode (el) {
+  const style = window.getComputedStyle(el === document ? document.documentElement : el)
+  const writingMode = style.writingMode || style.webkitWritingMode || style.msWritingMode || HORIZONTAL_TB.name
+  const vertical = /^(vertical|sideways|tb|bt)/.test(writingMode)
+  // vertical-rl, sideways-rl and the older tb-rl / tb start their block axis at the right
+  const rightToLeftBlocks = /-rl$|^tb$/.test(writingMode)
+  const rtl = style.direction === 'rtl'
+
+  if (!vertical) {
+    return {
+      name: writingMode,
+      vertical,
+      blockStart: 'top',
+      inlineStart: rtl ? 'right' : 'left',
+      reversed: rtl
+    }
+  }
+
+  return {
+    name: writingMode,
+    vertical,
+    blockStart: rightToLeftBlocks ? 'right' : 'left',
+    inlineStart: rtl ? 'bottom' : 'top',
+    reversed: rightToLeftBlocks
+  }
+}
+
+/**
+ * get the nearest scroll-container ancestor of an element, snapping or not.
+ * @param  {Object} el
+ * @return {Object}    the document for the html/body element, null if the element is not in the document
+ */
+export function getScrollParent (el) {
+  // shadow roots lead on to their host
+  for (el = el.parentNode || el.host; el && el !== document; el = el.parentNode || el.host) {
+    if (el.nodeType !== window.Node.ELEMENT_NODE) {
+      continue
+    }
+
+    // the overflow of html and body applies to the viewport
+    if (getScrollContainer(el) === document) {
+      return document
+    }
+
+    if (typeof el.snapElements !== 'undefined' || isScrollContainer(el)) {
+      return el
+    }
+  }
+
+  return null
+}
+
+/**
+ * check whether an element is a scroll-container, i.e. its overflow is not visible
+ * @param  {Object}  el
+ * @return {Boolean}
+ */
+function isScrollContainer (el) {
+  const style = window.getComputedStyle(el)
+  return [style.overflowX, style.overflowY].some((overflow) => overflow !== 'visible' && overflow !== 'clip')
+}
+
+/**
+ * calc the snap coords of a snap element within its scroll container,
+ * the scroll position aligning its snap area in the snapport shrunk by the scroll padding.
+ * positions beyond the edges of the scrollable area are left to stayInScrollBounds.
+ * @param  {Object} scrollObj  the element scrolling is applied to
+ * @param  {Object} snapElement
+ * @param  {Object} direction
+ * @param  {Object} padding    the scroll padding in px
+ * @return {Object}
+ */
+export function getSnapCoords (scrollObj, snapElement, direction, padding) {
+  const alignment = getSnapAlignment(snapElement, getScrollContainer(scrollObj))
+  const area = getSnapArea(snapElement, scrollObj)
+  const height = getSnapportHeight(scrollObj) - padding.top - padding.bottom
+  const width = getSnapportWidth(scrollObj) - padding.left - padding.right
+
+  return {
+    y: area.top + getSnapLength(area.height, alignment.y, direction.y) - padding.top - getSnapLength(height, alignment.y, direction.y),
+    x: area.left + getSnapLength(area.width, alignment.x, direction.x) - padding.left - getSnapLength(width, alignment.x, direction.x)
+  }
+}
+
+/**
+ * measure the snap area of a snap element in the coordinate space of its scroll container.
+ * the snap area is the border box as rendered, transforms included, grown by the scroll margin.
+ * its left is measured from the start of the x axis, like the scroll position.
+ * @param  {Object} snapElement
+ * @param  {Object} scrollObj   the element scrolling is applied to
+ * @return {Object}             top, left, width and height in px
+ */
+export function getSnapArea (snapElement, scrollObj) {
+  const rect = snapElement.getBoundingClientRect()
+  const snapport = getSnapportRect(scrollObj)
+  const margin = getScrollMargin(snapElement, scrollObj, rect)
+  // the offset within the snapport plus the scroll position is the offset within the scrollable area
+  const left = isReversed(scrollObj) ? snapport.right - rect.right : rect.left - snapport.left
+
+  return {
+    top: rect.top - snapport.top + scrollObj.scrollTop - margin.top,
+    left: left + getScrollLeft(scrollObj) - margin.left,
+    width: rect.width + margin.left + margin.right,
+    height: rect.height + margin.top + margin.bottom
+  }
+}
+
+/**
+ * get the edges of the visible area of a scroll container in viewport coordinates, inside its borders.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @return {Object}           top, left and right
+ */
+export function getSnapportRect (scrollObj) {
+  if (scrollObj === document.body || scrollObj === document.documentElement) {
+    return { top: 0, left: 0, right: getSnapportWidth(scrollObj) }
+  }
+
+  const rect = scrollObj.getBoundingClientRect()
+  const left = rect.left + scrollObj.clientLeft
+  return {
+    top: rect.top + scrollObj.clientTop,
+    left,
+    right: left + getSnapportWidth(scrollObj)
+  }
+}
+
+/**
+ * get the scroll margin of a snap element in px.
+ * scroll-margin takes no percentages, those of the translated coordinates of the older spec resolve against
+ * the size of the snap element.
+ * @param  {Object} snapElement
+ * @param  {Object} scrollObj   the element scrolling is applied to
+ * @param  {Object} rect        the border box of the snap element
+ * @return {Object}
+ */
+function getScrollMargin (snapElement, scrollObj, rect) {
+  const margin = snapElement.scrollMargin
+  if (typeof margin === 'undefined') {
+    return { top: 0, right: 0, bottom: 0, left: 0 }
+  }
+
+  return resolveBoxLengths(margin, snapElement, scrollObj, rect)
+}
+
+/**
+ * get the scroll padding of a scroll container in px.
+ * percentages resolve against the size of the scrollport on the same axis.
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @return {Object}
+ */
+export function getScrollPadding (obj, scrollObj) {
+  return resolveBoxLengths(obj.scrollPadding, obj, scrollObj)
+}
+
+/**
+ * resolve the sides of a box property to px.
+ * left and right are swapped when the x axis starts at the right, so that left is always its start.
+ * @param  {Object} box       the parsed sides
+ * @param  {Object} el        the element the property applies to
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} basis     width and height percentages resolve against, the snapport if omitted
+ * @return {Object}
+ */
+function resolveBoxLengths (box, el, scrollObj, basis) {
+  const height = basis ? basis.height : getSnapportHeight(scrollObj)
+  const width = basis ? basis.width : getSnapportWidth(scrollObj)
+  const top = toPx(box.top, el, height)
+  const right = toPx(box.right, el, width)
+  const bottom = toPx(box.bottom, el, height)
+  const left = toPx(box.left, el, width)
+
+  if (isReversed(scrollObj)) {
+    return { top, right: left, bottom, left: right }
+  }
+
+  return { top, right, bottom, left }
+}
+
+/**
+ * calc the scroll position that snaps a container to one of its snap elements.
+ * scroll padding applies to every snap element, positions beyond the scrollable area are clamped to its edges.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} obj       the scroll container
+ * @param  {Number} index     index of the snap element
+ * @param  {Object} direction
+ * @return {Object}
+ */
+export function getSnapPosition (scrollObj, obj, index, direction) {
+  const snapCoords = stayInScrollBounds(scrollObj, getSnapCoords(scrollObj, obj.snapElements[index], direction, getScrollPadding(obj, scrollObj)))
+
+  return {
+    y: obj.scrollSnapType.y ? snapCoords.y : NaN,
+    x: obj.scrollSnapType.x ? snapCoords.x : NaN
+  }
+}
+
+/**
+ * ceil or floor a number based on direction
+ * @param  {Number} direction
+ * @param  {Number} currentPoint
+ * @return {Number}
+ */
+function roundByDirection (direction, currentPoint) {
+  if (direction === -1) {
+    // when we go up, we floor the number to jump to the next snap-point in scroll direction
+    return Math.floor(currentPoint)
+  }
+  // go down, we ceil the number to jump to the next in view.
+  return Math.ceil(currentPoint)
+}
+
+/**
+ * keep scrolling in bounds
+ * @param  {Number} min
+ * @param  {Number} max
+ * @param  {Number} destined
+ * @return {Number}
+ */
+export function stayInBounds (min, max, destined) {
+  return Math.max(Math.min(destined, max), min)
+}
+
+/**
+ * keep a scroll position within the scrollable area of a container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} position
+ * @return {Object}
+ */
+export function stayInScrollBounds (scrollObj, position) {
+  return {
+    y: stayInBounds(0, getScrollHeight(scrollObj) - getSnapportHeight(scrollObj), position.y),
+    x: stayInBounds(0, getScrollWidth(scrollObj) - getSnapportWidth(scrollObj), position.x)
+  }
+}
+
+/**
+ * calc the offset of the alignment line within a snap area or the snapport on one axis
+ * @param  {Number} size      size of the snap area or the snapport on the axis
+ * @param  {String} alignment
+ * @param  {Number} direction direction on the axis
+ * @return {Number}
+ */
+export function getSnapLength (size, alignment, direction) {
+  if (alignment === START) {
+    return 0
+  } else if (alignment === END) {
+    return size
+  } else if (alignment === CENTER) {
+    return roundByDirection(direction, size / 2)
+  }
+  return 0
+}
+
+/**
+ * get an elements scrollable height
+ * @param  {Object} obj
+ * @return {Number}
+ */
+export function getScrollHeight (obj) {
+  return obj.scrollHeight
+}
+
+/**
+ * get an elements scrollable width
+ * @param  {Object} obj
+ * @return {Number}
+ */
+export function getScrollWidth (obj) {
+  return obj.scrollWidth
+}
+
+/**
+ * get an elements height
+ * @param  {Object} obj
+ * @return {Number}
+ */
+export function getHeight (obj) {
+  return obj.offsetHeight
+}
+
+/**
+ * get an elements width
+ * @param  {Object} obj
+ * @return {Number}
+ */
+export function getWidth (obj) {
+  return obj.offsetWidth
+}
+
+/**
+ * get the width of the visible area of a scroll container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @return {Number}
+ */
+export function getSnapportWidth (scrollObj) {
+  if (scrollObj === document.body || scrollObj === document.documentElement) {
+    return document.documentElement.clientWidth
+  }
+  return scrollObj.clientWidth
+}
+
+/**
+ * get the height of the visible area of a scroll container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @return {Number}
+ */
+export function getSnapportHeight (scrollObj) {
+  if (scrollObj === document.body || scrollObj === document.documentElement) {
+    return window.innerHeight || document.documentElement.clientHeight
+  }
+  return scrollObj.clientHeight
+}
+
+/**
+ * check whether the x axis of a scroll container starts at the right
+ * @param  {Object}  scrollObj the element scrolling is applied to
+ * @return {Boolean}
+ */
+export function isReversed (scrollObj) {
+  const writingMode = getScrollContainer(scrollObj).writingMode
+  return !!writingMode && writingMode.reversed
+}
+
+/**
+ * the scrollLeft convention of the browser for containers starting at the right:
+ * NEGATIVE (spec, 0 to -max), REVERSE (IE and Edge, 0 to max) or DEFAULT (older WebKit, max to 0).
+ * @type {String}
+ */
+let reversedScrollType = null
+
+/**
+ * detect the scrollLeft convention for containers starting at the right, once.
+ * @return {String}
+ */
+function getReversedScrollType () {
+  if (reversedScrollType === null) {
+    const el = document.createElement('div')
+    const child = document.createElement('div')
+    el.dir = 'rtl'
+    el.style.cssText = 'position: absolute; top: -1000px; width: 4px; height: 1px; overflow: scroll; visibility: hidden'
+    child.style.cssText = 'width: 8px; height: 1px'
+    el.appendChild(child)
+    document.body.appendChild(el)
+
+    if (el.scrollLeft > 0) {
+      reversedScrollType = DEFAULT
+    } else {
+      el.scrollLeft = 1
+      reversedScrollType = el.scrollLeft === 0 ? NEGATIVE : REVERSE
+    }
+
+    document.body.removeChild(el)
+  }
+
+  return reversedScrollType
+}
+
+/**
+ * get the scroll position on the x axis, measured from the start of the axis.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @return {Number}
+ */
+export function getScrollLeft (scrollObj) {
+  return convertScrollLeft(scrollObj, scrollObj.scrollLeft)
+}
+
+/**
+ * set the scroll position on the x axis, measured from the start of the axis.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Number} value
+ */
+export function setScrollLeft (scrollObj, value) {
+  scrollObj.scrollLeft = convertScrollLeft(scrollObj, value)
+}
+
+/**
+ * convert between scrollLeft and the scroll position measured from the start of the x axis.
+ * the conversion is the same both ways.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Number} value
+ * @return {Number}
+ */
+export function convertScrollLeft (scrollObj, value) {
+  if (!isReversed(scrollObj)) {
+    return value
+  }
+
+  switch (getReversedScrollType()) {
+    case NEGATIVE:
+      return -value
+    case REVERSE:
+      return value
+    default:
+      return getScrollWidth(scrollObj) - getSnapportWidth(scrollObj) - value
+  }
+}
+
+/**
+ * return the element scrolling values are applied to.
+ * when receiving window.onscroll events, the actual scrolling is on the body.
+ * @param  {Object} obj
+ * @return {Object}
+ */
+export function getScrollObj (obj) {
+  // if the scroll container is body, the scrolling is invoked on window/doc.
+  if (obj === document || obj === window) {
+    if (document.scrollingElement) {
+      return document.scrollingElement
+    }
+    // firefox scrolls on doc.documentElement
+    if (document.documentElement.scrollTop > 0 || document.documentElement.scrollLeft > 0) {
+      return document.documentElement
+    }
+    // chrome scrolls on body
+    return document.querySelector('body')
+  }
+
+  return obj
+}
@@ -0,0 +1,181 @@
+import {
+  getScrollHeight, getScrollLeft, getScrollObj, getScrollWidth, getSnapportHeight, getSnapportWidth, stayInBounds
+} from './geometry'
+import { interruptSnap, isSnapping, scheduleSnap, supportsScrollEnd } from './snap'
+
+/**
+ * deceleration of momentum scrolling, the fraction of the velocity left after every ms.
+ * a flick with velocity v in px/ms travels v * DECELERATION / (1 - DECELERATION) px, like on iOS.
+ * @type {Number}
+ */
+const DECELERATION = 0.998
+
+/**
+ * time in ms of the gesture samples the release velocity is measured over.
+ * @type {Number}
+ */
+const VELOCITY_WINDOW = 100
+
+/**
+ * get the events a gesture is tracked with.
+ * touch events keep coming while the browser pans, pointer events are the fallback without them.
+ * @return {Array}
+ */
+export function getGestureEvents () {
+  if ('ontouchstart' in window) {
+    return ['touchstart', 'touchmove', 'touchend', 'touchcancel']
+  }
+  if (window.PointerEvent) {
+    return ['pointerdown', 'pointermove', 'pointerup', 'pointercancel']
+  }
+  return []
+}
+
+/**
+ * gesture handler
+ * this is the callback for touch and pointer events. it samples the scroll position while the finger is down
+ * and predicts where momentum scrolling ends when it is lifted.
+ */
+export function gestureHandler (evt) {
+  const obj = evt.currentTarget
+  const state = obj.scrollSnapState
+
+  // mice don't pan, containers with `scroll-snap-type: none` scroll freely.
+  if (!state || evt.pointerType === 'mouse' || !isSnapping(obj)) {
+    return
+  }
+
+  const scrollObj = getScrollObj(obj)
+
+  switch (evt.type) {
+    case 'touchstart':
+    case 'pointerdown':
+      if (!state.gesture) {
+        startGesture(obj, state, scrollObj)
+      }
+      break
+    case 'touchmove':
+    case 'pointermove':
+      if (state.gesture) {
+        sampleGesture(state.gesture, scrollObj)
+      }
+      break
+    case 'touchend':
+    case 'pointerup':
+      // the gesture goes on while other fingers are down
+      if (state.gesture && !(evt.touches && evt.touches.length)) {
+        endGesture(obj, state, scrollObj)
+      }
+      break
+    default:
+      // touchcancel and pointercancel, pointer events are cancelled once the browser pans.
+      // without samples to measure, the snap falls back to the scroll position.
+      if (state.gesture && !(evt.touches && evt.touches.length)) {
+        state.gesture = null
+        state.projection = null
+        scheduleSnapAfterGesture(obj, state)
+      }
+  }
+}
+
+/**
+ * start tracking a gesture.
+ * a snap animation in progress gives way to the finger.
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} state     the scroll state of the container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ */
+function startGesture (obj, state, scrollObj) {
+  clearTimeout(state.timeOutId)
+  state.scrollObj = scrollObj
+
+  // an interrupted snap keeps its snap point as scroll start, so that the container still snaps
+  // when the gesture doesn't scroll it, e.g. because it scrolls a nested container.
+  if (!interruptSnap(obj, state) || state.scrollStart === null) {
+    state.scrollStart = {
+      y: scrollObj.scrollTop,
+      x: getScrollLeft(scrollObj)
+    }
+  }
+  state.projection = null
+  state.gesture = { samples: [] }
+  sampleGesture(state.gesture, scrollObj)
+}
+
+/**
+ * record the scroll position during a gesture, samples older than the VELOCITY_WINDOW are dropped.
+ * @param  {Object} gesture
+ * @param  {Object} scrollObj the element scrolling is applied to
+ */
+function sampleGesture (gesture, scrollObj) {
+  const time = Date.now()
+  gesture.samples.push({
+    time,
+    y: scrollObj.scrollTop,
+    x: getScrollLeft(scrollObj)
+  })
+
+  while (gesture.samples.length > 2 && time - gesture.samples[1].time > VELOCITY_WINDOW) {
+    gesture.samples.shift()
+  }
+}
+
+/**
+ * stop tracking a gesture and predict where momentum scrolling ends.
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} state     the scroll state of the container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ */
+function endGesture (obj, state, scrollObj) {
+  const gesture = state.gesture
+  sampleGesture(gesture, scrollObj)
+  state.gesture = null
+
+  const velocity = getVelocity(gesture.samples)
+  const momentum = DECELERATION / (1 - DECELERATION)
+  const last = gesture.samples[gesture.samples.length - 1]
+
+  state.projection = {
+    y: stayInBounds(0, getScrollHeight(scrollObj) - getSnapportHeight(scrollObj), last.y + velocity.y * momentum),
+    x: stayInBounds(0, getScrollWidth(scrollObj) - getSnapportWidth(scrollObj), last.x + velocity.x * momentum)
+  }
+
+  scheduleSnapAfterGesture(obj, state)
+}
+
+/**
+ * measure the scroll velocity in px/ms at the end of a gesture.
+ * a finger that rested before it was lifted has no velocity.
+ * @param  {Array}  samples scroll positions of the gesture
+ * @return {Object}
+ */
+function getVelocity (samples) {
+  const last = samples[samples.length - 1]
+  let first = last
+
+  for (let i = samples.length - 2; i >= 0 && last.time - samples[i].time <= VELOCITY_WINDOW; i--) {
+    first = samples[i]
+  }
+
+  const elapsed = last.time - first.time
+  if (elapsed <= 0) {
+    return { y: 0, x: 0 }
+  }
+
+  return {
+    y: (last.y - first.y) / elapsed,
+    x: (last.x - first.x) / elapsed
+  }
+}
+
+/**
+ * decide upon the snap once a gesture is over, momentum scrolling postpones it with its scroll events.
+ * the native scrollend event fires after the momentum, the finger didn't scroll without it.
+ * @param  {Object} obj   the scroll container
+ * @param  {Object} state the scroll state of the container
+ */
+function scheduleSnapAfterGesture (obj, state) {
+  if (!supportsScrollEnd()) {
+    scheduleSnap(obj, state)
+  }
+}
@@ -1,692 +1,382 @@
-import './polyfill.min.js'
-
-const NONE = 'none'
-const START = 'start'
-const END = 'end'
-const CENTER = 'center'
-const LENGTH_PERCENTAGE_REGEX = /(\d+)(px|vh|vw|%)/g
-
-/**
- * constraint to jumping to the next snap-point.
- * when scrolling further than SNAP_CONSTRAINT snap-points,
- * but the current distance is less than 1-0.18 (read: 18 percent),
- * the snap-will go back to the closer snap-point.
- */
-const CONSTRAINT = 0.18
-
-/**
- * time in ms after which scrolling is considered finished.
- * the scroll timeouts are timed with this.
- * whenever a new scroll event is triggered, the previous timeout is deleted.
- * @type {Number}
- */
-const SCROLL_TIMEOUT = 45
+import { watchStylesheets } from './stylesheets'
+import { isOverlay } from './debug'
+import { LEGACY_PROPERTIES, translateLegacy } from './legacy'
+import { options, setOptions, unwatchReducedMotion, watchReducedMotion } from './options'
+import { getScrollContainer } from './geometry'
+import { hasContainerDeclaration, hasSnapElementDeclaration } from './declarations'
+import { getSnapState, scrollToSnap } from './snap'
+import {
+  resizeHandler, setUpContainer, setUpElement, setUpSnapElement, snapRules, tearDownAll, tearDownElement
+} from './setup'
+import {
+  createRegistration, findRegistration, getRegisteredChildren, register, registrations, setUpRegistration,
+  styleRegistration, unregister, unstyleRegistration
+} from './registration'
+import { getNativeSnapState, scrollToSnapNatively } from './native'
+import { interceptScrolls, restoreScrolls } from './intercept'
 
 /**
- * time for the smooth scrolling
- * @type {Number}
- */
-const SCROLL_TIME = 350
-
-/**
- * doMatched is a callback for Polyfill to fill in the desired behaviour.
- * @param  {array} rules rules found for the polyfill
+ * doMatched is a callback for the stylesheet scanner to fill in the desired behaviour.
+ * @param  {Object} rules rules found by the scanner
  */
 function doMatched (rules) {
-  // iterate over rules
+  // iterate over rules, set up the scroll containers first so that snap elements find them.
+  // a rule can declare both, e.g. for a carousel that is a snap element of a snapping page.
   rules.each((rule) => {
-    const elements = document.querySelectorAll(rule.getSelectors())
-    const declaration = rule.getDeclaration();
-
-    // iterate over elements
-    [].forEach.call(elements, (el) => {
-      // set up the behaviour
-      setUpElement(el, declaration)
-    })
+    setUpRule(rule, hasContainerDeclaration, setUpContainer)
   })
-}
 
-/**
- * unDomatched is a callback for polyfill to undo any polyfilled behaviour
- * @param  {Object} rules
- */
-function undoUnmatched (rules) {
-  // iterate over rules
   rules.each((rule) => {
-    const elements = document.querySelectorAll(rule.getSelectors());
+    const selectors = rule.getSelectors()
 
-    // iterate over elements
-    [].forEach.call(elements, (el) => {
-      // tear down the behaviour
-      tearDownElement(el)
-    })
+    // remember the rule for snap elements added later on, inline styles only apply to their element.
+    // rules of a shadow root only apply inside it, those of the document not inside shadow roots.
+    if (selectors !== null && hasSnapElementDeclaration(translateLegacy(rule.getDeclaration()))) {
+      snapRules.push({ selectors, declaration: rule.getDeclaration(), scope: rule.getRoot() })
+    }
+    setUpRule(rule, hasSnapElementDeclaration, setUpSnapElement)
   })
 }
 
 /**
- * set up an element for scroll-snap behaviour
- * @param {Object} el           HTML element
- * @param {Object} declaration  CSS declarations
+ * set up one part of the behaviour for all elements matching a rule
+ * @param {Object}   rule    a rule found by the scanner
+ * @param {Function} applies tells whether the declarations have that part
+ * @param {Function} setUp   sets up that part of an element
  */
-function setUpElement (el, declaration) {
-  // if this is a scroll-snap element in a scroll snap container, attach to the container only.
-  if (typeof declaration['scroll-snap-align'] !== 'undefined') {
-    // save declaration
-    el.scrollSnapAlignment = parseScrollSnapAlignment(declaration)
-
-    return attachToScrollParent(el)
-  }
-
-  // if the scroll snap attributes are applied on the body/html tag, use the doc for scroll events.
-  const tag = el.tagName
-  if (tag.toLowerCase() === 'body' ||
-      tag.toLowerCase() === 'html') {
-    el = document
-  }
-
-  // add the event listener
-  el.addEventListener('scroll', handler, false)
-
-  // set up scroll padding
-  el.scrollPadding = parseScrollPadding(declaration)
-
-  // save declaration
-  // if (typeof declaration['scroll-snap-destination'] !== 'undefined') {
-  //   el.snapLengthUnit = parseSnapCoordValue(declaration);
-  // } else {
-  //   el.snapLengthUnit = parseSnapPointValue(declaration);
-  // }
-
-  // init possible elements
-  el.snapElements = []
-}
-
-/**
- * tear down an element. remove all added behaviour.
- * @param  {Object} el DomElement
- */
-function tearDownElement (el) {
-  // if the scroll snap attributes are applied on the body/html tag, use the doc for scroll events.
-  const tag = el.tagName
-
-  if (tag.toLowerCase() === 'body' ||
-      tag.toLowerCase() === 'html') {
-    el = document
+function setUpRule (rule, applies, setUp) {
+  // declarations of the older spec are set up like their current counterparts
+  const declaration = translateLegacy(rule.getDeclaration())
+  if (!applies(declaration)) {
+    return
   }
 
-  document.removeEventListener('scroll', handler, false)
-  el.removeEventListener('scroll', handler, false)
-
-  el.snapLengthUnit = null
-  el.snapElements = []
+  // iterate over elements
+  rule.getElements().forEach((el) => {
+    // set up the behaviour
+    setUp(el, declaration)
+  })
 }
 
 /**
- * parse snap alignment values.
- * @param  {Object} declaration
- * @return {Object}
+ * unDomatched is a callback for the stylesheet scanner to undo any polyfilled behaviour
+ * @param  {Object} rules
+ * @param  {Object} current the rules that still match
  */
-function parseScrollSnapAlignment (declaration) {
-  const { 'scroll-snap-align': snapAlign } = declaration
-  let xAlign = NONE
-  let yAlign = NONE
-
-  if (typeof snapAlign !== 'undefined') {
-    // calculate scroll snap align
-    const parts = snapAlign.split(' ')
-    xAlign = parts[0]
-    yAlign = parts.length > 1 ? parts[1] : xAlign
-  }
-
-  return {
-    x: xAlign,
-    y: yAlign
-  }
-}
+function undoUnmatched (rules, current) {
+  const elements = []
 
-function parseLengthPercentage (strValue) {
-  // regex to parse lengths
-  const result = LENGTH_PERCENTAGE_REGEX.exec(strValue)
-  // if result is null return default values
-  if (result === null) return { value: 0, unit: 'px' }
-
-  const value = result[1]
-  const unit = result[2]
-  return { value: parseInt(value, 10), unit }
-}
+  // iterate over rules
+  rules.each((rule) => {
+    const declaration = rule.getDeclaration()
 
-/**
- * parse scroll padding values.
- * @param  {Object} declaration
- * @return {Object}
- */
-function parseScrollPadding (declaration) {
-  const {
-    'scroll-padding': scrollPadding,
-    'scroll-padding-top': scrollPaddingTop,
-    'scroll-padding-right': scrollPaddingRight,
-    'scroll-padding-bottom': scrollPaddingBottom,
-    'scroll-padding-left': scrollPaddingLeft
-  } = declaration
-  let paddingTop = { value: 0, unit: 'px' }
-  let paddingRight = { value: 0, unit: 'px' }
-  let paddingBottom = { value: 0, unit: 'px' }
-  let paddingLeft = { value: 0, unit: 'px' }
-
-  if (typeof scrollPadding !== 'undefined') {
-    // calculate scroll padding
-    const parts = scrollPadding.split(' ')
-    parts.forEach((part, i) => {
-      const value = parseLengthPercentage(part)
-      switch (i) {
-        case 0:
-          paddingTop = value
-          paddingRight = value
-          paddingBottom = value
-          paddingLeft = value
-          break
-        case 1:
-          paddingRight = value
-          paddingLeft = value
-          break
-        case 2:
-          paddingBottom = value
-          break
-        case 3:
-          paddingLeft = value
-          break
-        default:
+    // forget the rule for snap elements added later on
+    for (let i = snapRules.length - 1; i >= 0; i--) {
+      if (snapRules[i].declaration === declaration) {
+        snapRules.splice(i, 1)
       }
-    })
-  }
-
-  if (typeof scrollPaddingTop !== 'undefined') {
-    paddingTop = parseLengthPercentage(scrollPaddingTop)
-  }
-  if (typeof scrollPaddingRight !== 'undefined') {
-    paddingRight = parseLengthPercentage(scrollPaddingRight)
-  }
-  if (typeof scrollPaddingBottom !== 'undefined') {
-    paddingBottom = parseLengthPercentage(scrollPaddingBottom)
-  }
-  if (typeof scrollPaddingLeft !== 'undefined') {
-    paddingLeft = parseLengthPercentage(scrollPaddingLeft)
-  }
-
-  return {
-    top: paddingTop,
-    right: paddingRight,
-    bottom: paddingBottom,
-    left: paddingLeft
-  }
-}
-
-/**
- * attach a child-element onto a scroll-container
- * @param  {Object} el
- */
-function attachToScrollParent (el) {
-  const attach = el
-  // iterate over parent elements
-  for (; el && el !== document; el = el.parentNode) {
-    if (typeof el.snapElements !== 'undefined') {
-      el.snapElements.push(attach)
     }
-  }
-}
-
-/**
- * the last created timeOutId for scroll event timeouts.
- * @type int
- */
-let timeOutId = null
-
-/**
- * starting point for current scroll
- * @type length
- */
-let scrollStart = null
 
-/**
- * the last object receiving a scroll event
- */
-let lastObj, lastScrollObj
-
-/**
- * scroll handler
- * this is the callback for scroll events.
- */
-let handler = function (evt) {
-  // use evt.target as target-element
-  lastObj = evt.target
-  lastScrollObj = getScrollObj(lastObj)
-
-  // if currently animating, stop it. this prevents flickering.
-  if (animationFrame) {
-    // cross browser
-    if (!cancelAnimationFrame(animationFrame)) {
-      clearTimeout(animationFrame)
-    }
-  }
+    rule.getElements().forEach((el) => {
+      if (elements.indexOf(el) === -1) {
+        elements.push(el)
+      }
+    })
+  })
 
-  // if a previous timeout exists, clear it.
-  if (timeOutId) {
-    // we only want to call a timeout once after scrolling..
-    clearTimeout(timeOutId)
-  } else {
-    // save new scroll start
-    scrollStart = {
-      y: lastScrollObj.scrollTop,
-      x: lastScrollObj.scrollLeft
-    }
-  }
+  // other rules might still apply to the elements, collect them in the order of the cascade.
+  const declarations = elements.map(() => [])
+  current.each((rule) => {
+    const matches = rule.getElements()
+    elements.forEach((el, index) => {
+      if (matches.indexOf(el) !== -1) {
+        declarations[index].push(rule.getDeclaration())
+      }
+    })
+  })
+  registrations.forEach((registration) => {
+    const children = getRegisteredChildren(registration)
+    elements.forEach((el, index) => {
+      if (registration.container === el) {
+        declarations[index].push(registration.containerDeclaration)
+      }
+      if (children.indexOf(el) !== -1) {
+        declarations[index].push(registration.childDeclaration)
+      }
+    })
+  })
 
-  /* set a timeout for every scroll event.
-   * if we have new scroll events in that time, the previous timeouts are cleared.
-   * thus we can be sure that the timeout will be called 50ms after the last scroll event.
-   * this means a huge improvement in speed, as we just assign a timeout in the scroll event, which will be called only once (after scrolling is finished)
-   */
-  timeOutId = setTimeout(handlerDelayed, SCROLL_TIMEOUT)
+  // tear down the behaviour and set the elements up again with the remaining rules
+  elements.forEach((el, index) => {
+    rebuildElement(el, declarations[index])
+  })
 }
 
 /**
- * a delayed handler for scrolling.
- * this will be called by setTimeout once, after scrolling is finished.
+ * tear down all behaviour of an element and set it up again from scratch
+ * @param  {Object} el           HTML element
+ * @param  {Array}  declarations CSS declarations that apply to the element
  */
-let handlerDelayed = function () {
-  // if we don't move a thing, we can ignore the timeout: if we did, there'd be another timeout added for scrollStart+1.
-  if (scrollStart.y === lastScrollObj.scrollTop && scrollStart.x === lastScrollObj.scrollLeft) {
-    // ignore timeout
-    return
-  }
-
-  // detect direction of scroll. negative is up, positive is down.
-  let direction = {
-    y: (scrollStart.y - lastScrollObj.scrollTop > 0) ? -1 : 1,
-    x: (scrollStart.x - lastScrollObj.scrollLeft > 0) ? -1 : 1
-  }
-  let snapPoint
-
-  if (typeof lastScrollObj.snapElements !== 'undefined' && lastScrollObj.snapElements.length > 0) {
-    snapPoint = getNextElementSnapPoint(lastScrollObj, lastObj, direction)
-  }
+function rebuildElement (el, declarations) {
+  const obj = getScrollContainer(el)
+  // a container set up again finds its snap elements again, and keeps its position among them
+  const state = obj.scrollSnapState
 
-  // before doing the move, unbind the event handler (otherwise it calls itself kinda)
-  lastObj.removeEventListener('scroll', handler, false)
+  tearDownElement(el)
 
-  // smoothly move to the snap point
-  smoothScroll(lastScrollObj, snapPoint, function () {
-    // after moving to the snap point, rebind the scroll event handler
-    lastObj.addEventListener('scroll', handler, false)
+  declarations.forEach((declaration) => {
+    setUpElement(el, declaration)
   })
 
-  // we just jumped to the snapPoint, so this will be our next scrollStart
-  if (!isNaN(snapPoint.x) || !isNaN(snapPoint.y)) {
-    scrollStart = snapPoint
-  }
-}
-
-let currentIteratedObj = null
-let currentIteration = 0
-
-function toPx (value, unit, containerEl) {
-  if (unit && unit.toLowerCase() === 'vw') {
-    return getWidth(document.documentElement) * (value / 100)
-  }
-  if (unit && unit.toLowerCase() === 'vh') {
-    return getHeight(document.documentElement) * (value / 100)
-  }
-  if (unit && unit === '%') {
-    return getWidth(containerEl) * (value / 100)
+  if (state && obj.scrollSnapState) {
+    obj.scrollSnapState.currentIteration = state.currentIteration
   }
-  return value
-}
-
-function getNextElementSnapPoint (scrollObj, obj, direction) {
-  const l = obj.snapElements.length
-  const top = scrollObj.scrollTop
-  const left = scrollObj.scrollLeft
-  // decide upon an iteration direction (favor -1, as 1 is default and will be applied when there is no direction on an axis)
-  const primaryDirection = Math.min(direction.y, direction.x)
-  let snapCoords = { y: 0, x: 0 }
-
-  const { top: paddingTop, left: paddingLeft } = scrollObj.scrollPadding
-  const pTop = roundByDirection(direction, toPx(paddingTop.value, paddingTop.unit, scrollObj))
-  const pLeft = roundByDirection(direction, toPx(paddingLeft.value, paddingLeft.unit, scrollObj))
-
-  function adjustForPadding (value, adjustment) {
-    if (currentIteration === 0 || currentIteration === l - 1) {
-      return value
-    }
-    return value - adjustment
-  }
-
-  // handle use-case where scrolling to end
-  if ((left > 0 && (left + getWidth(scrollObj)) === getScrollWidth(scrollObj)) || (top > 0 && (top + getHeight(scrollObj)) === getScrollHeight(scrollObj))) {
-    currentIteration = l - 1
-    const lastSnapElement = obj.snapElements[currentIteration]
-    const lastSnapCoords = {
-      x: (getLeft(lastSnapElement) - getLeft(scrollObj)) + getXSnapLength(lastSnapElement, lastSnapElement.scrollSnapAlignment.x, direction),
-      y: (getTop(lastSnapElement) - getTop(scrollObj)) + getYSnapLength(lastSnapElement, lastSnapElement.scrollSnapAlignment.y, direction)
-    }
-    lastSnapElement.snapCoords = lastSnapCoords
-    // the for loop stopped at the last element
-    return {y: stayInBounds(0, getScrollHeight(scrollObj), lastSnapCoords.y),
-      x: stayInBounds(0, getScrollWidth(scrollObj), lastSnapCoords.x)}
-  }
-
-  const currentSnapElement = obj.snapElements[currentIteration]
-  const currentSnapCoords = {
-    x: currentIteration === 0 ? 0 : (getLeft(currentSnapElement) - getLeft(scrollObj)) + getXSnapLength(currentSnapElement, currentSnapElement.scrollSnapAlignment.x, direction) - getXSnapLength(scrollObj, currentSnapElement.scrollSnapAlignment.x, direction),
-    y: currentIteration === 0 ? 0 : (getTop(currentSnapElement) - getTop(scrollObj)) + getYSnapLength(currentSnapElement, currentSnapElement.scrollSnapAlignment.y, direction) - getYSnapLength(scrollObj, currentSnapElement.scrollSnapAlignment.y, direction)
-  }
-  currentSnapElement.snapCoords = currentSnapCoords
-  const xThreshold = currentSnapCoords.x + (direction.x * getWidth(currentSnapElement) * CONSTRAINT)
-  const yThreshold = currentSnapCoords.y + (direction.y * getHeight(currentSnapElement) * CONSTRAINT)
-
-  let i
-  for (i = currentIteration + primaryDirection; i < l && i >= 0; i = i + primaryDirection) {
-    currentIteratedObj = obj.snapElements[i]
-
-    // get objects snap coords by adding obj.top + obj.snaplength.y
-    snapCoords = {
-      y: i === 0 ? 0 : (getTop(currentIteratedObj) - getTop(scrollObj)) + getYSnapLength(currentIteratedObj, currentIteratedObj.scrollSnapAlignment.y, direction) - getYSnapLength(scrollObj, currentIteratedObj.scrollSnapAlignment.y, direction),
-      x: i === 0 ? 0 : (getLeft(currentIteratedObj) - getLeft(scrollObj)) + getXSnapLength(currentIteratedObj, currentIteratedObj.scrollSnapAlignment.x, direction) - getXSnapLength(scrollObj, currentIteratedObj.scrollSnapAlignment.x, direction)
-    }
-
-    currentIteratedObj.snapCoords = snapCoords
-    // check if object snappoint is "close" enough to scrollable snappoint
-
-    // check if not beyond scroll threshold
-    if ((direction.x === 1 ? left < xThreshold : left > xThreshold) &&
-      (direction.y === 1 ? top < yThreshold : top > yThreshold)) {
-      break
-    }
-
-    const elementXThreshold = snapCoords.x + (direction.x * getWidth(currentIteratedObj) * CONSTRAINT)
-    const elementYThreshold = snapCoords.y + (direction.y * getHeight(currentIteratedObj) * CONSTRAINT)
-
-    // check if not scrolled past element snap point
-    if ((direction.x === 1 ? left > elementXThreshold : left < elementXThreshold) ||
-      (direction.y === 1 ? top > elementYThreshold : top < elementYThreshold)) {
-      continue
-    }
-
-    // ok, we found a snap point.
-    currentIteration = i
-    // stay in bounds (minimum: 0, maxmimum: absolute height)
-    return {y: stayInBounds(0, getScrollHeight(scrollObj), adjustForPadding(snapCoords.y, pTop)),
-      x: stayInBounds(0, getScrollWidth(scrollObj), adjustForPadding(snapCoords.x, pLeft))}
-  }
-  // no snap found, use first or last?
-  if (primaryDirection === 1 && i === l - 1) {
-    currentIteration = l - 1
-    // the for loop stopped at the last element
-    return {y: stayInBounds(0, getScrollHeight(scrollObj), snapCoords.y),
-      x: stayInBounds(0, getScrollWidth(scrollObj), snapCoords.x)}
-  } else if (primaryDirection === -1 && i === 0) {
-    currentIteration = 0
-    // the for loop stopped at the first element
-    return {y: stayInBounds(0, getScrollHeight(scrollObj), snapCoords.y),
-      x: stayInBounds(0, getScrollWidth(scrollObj), snapCoords.x)}
-  }
-  // stay in the same place
-  return {y: stayInBounds(0, getScrollHeight(scrollObj), adjustForPadding(obj.snapElements[currentIteration].snapCoords.y, pTop)),
-    x: stayInBounds(0, getScrollWidth(scrollObj), adjustForPadding(obj.snapElements[currentIteration].snapCoords.x, pLeft))}
 }
 
 /**
- * ceil or floor a number based on direction
- * @param  {Number} direction
- * @param  {Number} currentPoint
- * @return {Number}
+ * the polyfill shared by all controllers, null while no controller is in use.
+ * @type {Object}
  */
-function roundByDirection (direction, currentPoint) {
-  if (direction === -1) {
-    // when we go up, we floor the number to jump to the next snap-point in scroll direction
-    return Math.floor(currentPoint)
-  }
-  // go down, we ceil the number to jump to the next in view.
-  return Math.ceil(currentPoint)
-}
+let instance = null
 
 /**
- * keep scrolling in bounds
- * @param  {Number} min
- * @param  {Number} max
- * @param  {Number} destined
- * @return {Number}
+ * start the polyfill shared by all controllers.
+ * @param  {Object}  stylesheets the stylesheet scanner, null when the polyfill isn't needed
+ * @param  {Boolean} native      whether scroll snapping is supported natively
+ * @return {Object}
  */
-function stayInBounds (min, max, destined) {
-  return Math.max(Math.min(destined, max), min)
+function createInstance (stylesheets, native) {
+  const shared = {
+    stylesheets,
+    native,
+    active: stylesheets !== null,
+    // the scanner reports the initial matches once it read the stylesheets
+    matched: false,
+    // the number of controllers not destroyed yet
+    controllers: 0
+  }
+
+  if (shared.active) {
+    watchReducedMotion()
+    window.addEventListener('resize', resizeHandler, false)
+    window.addEventListener('orientationchange', resizeHandler, false)
+    if (options.interceptScrolls) {
+      interceptScrolls()
+    }
+    stylesheets
+      .doMatched((rules) => {
+        shared.matched = true
+        if (shared.active) {
+          doMatched(rules)
+        }
+      })
+      .undoUnmatched((rules) => {
+        if (shared.active) {
+          undoUnmatched(rules, stylesheets.getCurrentMatches())
+        }
+      })
+  }
+
+  return shared
 }
 
 /**
- * calc length of one snap on y-axis
- * @param  {Object} declaration the parsed declaration
- * @return {Number}
+ * stop the shared polyfill once its last controller is destroyed.
+ * @param  {Object} shared
  */
-function getYSnapLength (obj, alignment, direction) {
-  if (alignment === START) {
-    return 0
-  } else if (alignment === END) {
-    return getHeight(obj)
-  } else if (alignment === CENTER) {
-    return roundByDirection(direction, getHeight(obj) / 2)
+function destroyInstance (shared) {
+  if (shared === instance) {
+    instance = null
   }
-  return 0
-}
-
-/**
- * calc length of one snap on x-axis
- * @param  {Object} declaration the parsed declaration
- * @return {Number}
- */
-function getXSnapLength (obj, alignment, direction) {
-  if (alignment === START) {
-    return 0
-  } else if (alignment === END) {
-    return getWidth(obj)
-  } else if (alignment === CENTER) {
-    return roundByDirection(direction, getWidth(obj) / 2)
+  if (!shared.active) {
+    return
   }
-  return 0
-}
-
-/**
- * get an elements scrollable height
- * @param  {Object} obj
- * @return {Number}
- */
-function getScrollHeight (obj) {
-  return obj.scrollHeight
-}
-
-/**
- * get an elements scrollable width
- * @param  {Object} obj
- * @return {Number}
- */
-function getScrollWidth (obj) {
-  return obj.scrollWidth
-}
+  shared.active = false
 
-/**
- * get an elements height
- * @param  {Object} obj
- * @return {Number}
- */
-function getHeight (obj) {
-  return obj.offsetHeight
+  // the undoUnmatched callback is inactive by now, we tear down ourselves.
+  shared.stylesheets.destroy()
+  tearDownAll()
+  registrations.length = 0
+  unwatchReducedMotion()
+  restoreScrolls()
+  window.removeEventListener('resize', resizeHandler, false)
+  window.removeEventListener('orientationchange', resizeHandler, false)
 }
 
 /**
- * get an elements width
- * @param  {Object} obj
- * @return {Number}
+ * create a controller of the shared polyfill.
+ * every controller counts as a user of the polyfill and owns the containers it registered.
+ * @param  {Object} shared the shared polyfill, null without a DOM
+ * @return {Object}
  */
-function getWidth (obj) {
-  return obj.offsetWidth
-}
+function createController (shared) {
+  let destroyed = shared === null
+  // the registrations made through this controller, undone when it is destroyed
+  const owned = []
 
-/**
- * get an elements height
- * @param  {Object} obj
- * @return {Number}
- */
-function getLeft (obj) {
-  return obj.offsetLeft + obj.clientLeft
-}
+  if (!destroyed) {
+    shared.controllers++
+  }
 
-/**
- * get an elements width
- * @param  {Object} obj
- * @return {Number}
- */
-function getTop (obj) {
-  return obj.offsetTop + obj.clientTop
-}
+  const isActive = () => !destroyed && shared.active
+  const isNative = () => !destroyed && shared.native
 
-/**
- * return the element scrolling values are applied to.
- * when receiving window.onscroll events, the actual scrolling is on the body.
- * @param  {Object} obj
- * @return {Object}
- */
-function getScrollObj (obj) {
-  // if the scroll container is body, the scrolling is invoked on window/doc.
-  if (obj === document || obj === window) {
-    // firefox scrolls on doc.documentElement
-    if (document.documentElement.scrollTop > 0 || document.documentElement.scrollLeft > 0) {
-      return document.documentElement
+  const removeRegistration = (container) => {
+    if (isActive()) {
+      unregister(container)
+    } else {
+      unstyleRegistration(container)
     }
-    // chrome scrolls on body
-    return document.querySelector('body')
   }
 
-  return obj
-}
+  return {
+    /**
+     * remove the registrations of this controller,
+     * and all polyfilled behaviour once every controller is destroyed.
+     */
+    destroy () {
+      if (destroyed) {
+        return
+      }
 
-/**
- * calc the duration of the animation proportional to the distance travelled
- * @param  {Number} start
- * @param  {Number} end
- * @return {Number}       scroll time in ms
- */
-function getDuration (start, end) {
-  const distance = Math.abs(start - end)
-  const procDist = 100 / Math.max(document.documentElement.clientHeight, window.innerHeight || 1) * distance
-  const duration = 100 / SCROLL_TIME * procDist
+      owned.splice(0).forEach((registration) => {
+        // another controller may have registered the container again since
+        if (registrations[findRegistration(registration.container)] === registration) {
+          removeRegistration(registration.container)
+        }
+      })
+      destroyed = true
+
+      shared.controllers--
+      if (shared.controllers === 0) {
+        destroyInstance(shared)
+      }
+    },
+
+    /**
+     * set up all elements again, e.g. after scroll containers were added.
+     */
+    refresh () {
+      if (!isActive()) {
+        return
+      }
 
-  if (isNaN(duration)) {
-    return 0
-  }
+      tearDownAll()
+      if (shared.matched) {
+        doMatched(shared.stylesheets.getCurrentMatches())
+      }
+      registrations.forEach(setUpRegistration)
+    },
+
+    /**
+     * turn on snapping for a container from code, browsers snapping natively get inline styles.
+     * @param  {Object} container
+     * @param  {Object} settings  type, padding, children, align, stop and margin
+     * @return {Object}           the registration, null after destroy()
+     */
+    register (container, settings) {
+      let registration = null
+
+      if (isActive()) {
+        registration = register(container, settings)
+      } else if (isNative()) {
+        unstyleRegistration(container)
+        registration = createRegistration(container, settings || {})
+        registrations.push(registration)
+        styleRegistration(registration, true)
+      }
 
-  return Math.max(SCROLL_TIME / 1.5, Math.min(duration, SCROLL_TIME))
-}
+      if (registration) {
+        for (let i = owned.length - 1; i >= 0; i--) {
+          if (owned[i].container === container) {
+            owned.splice(i, 1)
+          }
+        }
+        owned.push(registration)
+      }
+      return registration
+    },
+
+    /**
+     * turn off snapping for a container registered from code
+     * @param  {Object} container
+     */
+    unregister (container) {
+      if (isActive() || isNative()) {
+        removeRegistration(container)
+      }
+    },
 
-/**
- * ease in out function thanks to:
- * http://blog.greweb.fr/2012/02/bezier-curve-based-easing-functions-from-concept-to-implementation/
- * @param  {Number} t timing
- * @return {Number}   easing factor
- */
-const easeInCubic = function (t) {
-  return t * t * t
-}
+    scrollToSnap (container, indexOrElement, callback) {
+      if (isActive()) {
+        scrollToSnap(container, indexOrElement, callback)
+      } else if (isNative()) {
+        scrollToSnapNatively(container, indexOrElement, callback)
+      }
+    },
 
-/**
- * calculate the scroll position we should be in
- * @param  {Number} start    the start point of the scroll
- * @param  {Number} end      the end point of the scroll
- * @param  {Number} elapsed  the time elapsed from the beginning of the scroll
- * @param  {Number} duration the total duration of the scroll (default 500ms)
- * @return {Number}          the next position
- */
-const position = function (start, end, elapsed, duration) {
-  if (elapsed > duration) {
-    return end
+    getSnapState (container) {
+      if (isActive()) {
+        return getSnapState(container)
+      }
+      return isNative() ? getNativeSnapState(container) : null
+    }
   }
-  return start + (end - start) * easeInCubic(elapsed / duration)
 }
 
-// a current animation frame
-let animationFrame = null
-
-/**
- * smoothScroll function by Alice Lietieur.
- * @see https://github.com/alicelieutier/smoothScroll
- * we use requestAnimationFrame to be called by the browser before every repaint
- * @param  {Object}   obj      the scroll context
- * @param  {Number}  end      where to scroll to
- * @param  {Number}   duration scroll duration
- * @param  {Function} callback called when the scrolling is finished
- */
-const smoothScroll = function (obj, end, callback) {
-  const start = { y: obj.scrollTop, x: obj.scrollLeft }
-
-  const clock = Date.now()
-
-  // get animation frame or a fallback
-  const requestAnimationFrame = window.requestAnimationFrame ||
-                            window.mozRequestAnimationFrame ||
-                            window.webkitRequestAnimationFrame ||
-                            function (fn) { window.setTimeout(fn, 15) }
-  const duration = Math.max(getDuration(start.y, end.y), getDuration(start.x, end.x))
-
-  // setup the stepping function
-  const step = function () {
-    // calculate timings
-    const elapsed = Date.now() - clock
-
-    // change position on y-axis if result is a number.
-    if (!isNaN(end.y)) {
-      obj.scrollTop = position(start.y, end.y, elapsed, duration)
-    }
-
-    // change position on x-axis if result is a number.
-    if (!isNaN(end.x)) {
-      obj.scrollLeft = position(start.x, end.x, elapsed, duration)
-    }
-
-    // check if we are over due
-    if (elapsed > duration) {
-      // is there a callback?
-      if (typeof callback === 'function') {
-        // stop execution and run the callback
-        return callback(end)
-      }
-
-      // stop execution
-      return
-    }
+export default (userOptions) => {
+  /**
+   * without a DOM, e.g. during server-side rendering, do nothing but return an inactive controller.
+   * importing the module never touches the DOM either, all work starts here.
+   */
+  if (typeof window === 'undefined' || typeof document === 'undefined' || !document.documentElement) {
+    return createController(null)
+  }
 
-    // use a new animation frame
-    animationFrame = requestAnimationFrame(step)
+  /**
+   * the polyfill runs once per page, later calls share it and its options until every controller is destroyed.
+   */
+  if (instance !== null) {
+    return createController(instance)
   }
 
-  // start the first step
-  step()
-}
+  setOptions(userOptions || {})
 
-export default () => {
   /**
-   * Feature detect scroll-snap-type, if it exists then do nothing (return)
+   * Feature detect scroll-snap-type, if it exists then leave snapping to the browser
+   * and return a controller that scrolls and reads the state natively.
    */
   if ('scrollSnapAlign' in document.documentElement.style ||
       'webkitScrollSnapAlign' in document.documentElement.style ||
       'msScrollSnapAlign' in document.documentElement.style) {
-    // just return void to stop executing the polyfill.
-    return
+    instance = createInstance(null, true)
+    return createController(instance)
   }
 
-  Polyfill({
+  instance = createInstance(watchStylesheets({
     declarations: [
       'scroll-snap-type:*',
       'scroll-snap-align:*',
-      'scroll-snap-padding:*'
+      'scroll-snap-stop:*',
+      'scroll-margin*:*',
+      'scroll-snap-margin*:*',
+      'scroll-padding*:*',
+      'scroll-behavior:*'
+    ].concat(LEGACY_PROPERTIES.map((property) => `${property}:*`)),
+    // the debug overlay changes with every scroll, but never the CSS
+    ignore: isOverlay,
+    // attribute equivalents for server-rendered markup, containers and snap elements make separate rules
+    attributes: [
+      {
+        'data-scroll-snap-type': 'scroll-snap-type',
+        'data-scroll-snap-padding': 'scroll-padding'
+      },
+      {
+        'data-scroll-snap-align': 'scroll-snap-align',
+        'data-scroll-snap-stop': 'scroll-snap-stop',
+        'data-scroll-snap-margin': 'scroll-margin'
+      }
     ]
-  })
-    .doMatched(doMatched)
-    .undoUnmatched(undoUnmatched)
+  }), false)
+  return createController(instance)
 }
@@ -0,0 +1,299 @@
+import { AXES, INSTANT, PROXIMITY, PROXIMITY_RANGE, SMOOTH } from './constants'
+import { getScrollBehavior, reducedMotion } from './options'
+import {
+  convertScrollLeft, getScrollContainer, getScrollHeight, getScrollLeft, getScrollObj, getScrollParent,
+  getScrollWidth, getSnapPosition, getSnapportHeight, getSnapportWidth, isReversed, setScrollLeft, stayInBounds
+} from './geometry'
+import { containers, isSnapping, snapToIndex } from './snap'
+
+/**
+ * the original scroll methods while programmatic scrolls are intercepted
+ * @type {Array}
+ */
+let interceptedMethods = null
+
+/**
+ * wrap the scroll methods of elements and the window, so that scrolls of snapping containers made from code snap.
+ * fragment navigation snaps as well.
+ */
+export function interceptScrolls () {
+  if (interceptedMethods !== null) {
+    return
+  }
+
+  const elementPrototype = window.Element.prototype
+  const scrollTo = function (original, args) {
+    if (!interceptScrollTo(this, args, false)) {
+      return original.apply(this, args)
+    }
+  }
+  const scrollBy = function (original, args) {
+    if (!interceptScrollTo(this, args, true)) {
+      return original.apply(this, args)
+    }
+  }
+
+  interceptedMethods = [
+    wrapMethod(elementPrototype, 'scroll', scrollTo),
+    wrapMethod(elementPrototype, 'scrollTo', scrollTo),
+    wrapMethod(elementPrototype, 'scrollBy', scrollBy),
+    wrapMethod(elementPrototype, 'scrollIntoView', function (original, args) {
+      if (!interceptScrollIntoView(this, args, original)) {
+        return original.apply(this, args)
+      }
+    }),
+    wrapMethod(window, 'scroll', scrollTo),
+    wrapMethod(window, 'scrollTo', scrollTo),
+    wrapMethod(window, 'scrollBy', scrollBy)
+  ].filter((method) => method !== null)
+
+  window.addEventListener('hashchange', hashChangeHandler, false)
+}
+
+/**
+ * restore the original scroll methods.
+ */
+export function restoreScrolls () {
+  if (interceptedMethods === null) {
+    return
+  }
+
+  interceptedMethods.forEach(({ target, name, original, own }) => {
+    if (own) {
+      target[name] = original
+    } else {
+      delete target[name]
+    }
+  })
+  interceptedMethods = null
+
+  window.removeEventListener('hashchange', hashChangeHandler, false)
+}
+
+/**
+ * replace a method with a wrapper receiving the original method and the arguments.
+ * @param  {Object}   target
+ * @param  {String}   name
+ * @param  {Function} wrapper
+ * @return {Object}           the original method, null if there is none
+ */
+function wrapMethod (target, name, wrapper) {
+  const original = target[name]
+  if (typeof original !== 'function') {
+    return null
+  }
+
+  const own = Object.prototype.hasOwnProperty.call(target, name)
+  target[name] = function () {
+    return wrapper.call(this, original, arguments)
+  }
+
+  return { target, name, original, own }
+}
+
+/**
+ * snap a scrollTo or scrollBy call of a snapping container.
+ * @param  {Object}  el       the element or window the method is called on
+ * @param  {Array}   args     the arguments, the x and y coordinates or an options object
+ * @param  {Boolean} relative whether the coordinates are relative to the scroll position, like with scrollBy
+ * @return {Boolean}          whether the call was snapped, the original method does the scroll otherwise
+ */
+function interceptScrollTo (el, args, relative) {
+  const obj = el === window ? document : getScrollContainer(el)
+  if (!args.length || containers.indexOf(obj) === -1 || !isSnapping(obj) || obj.snapElements.length === 0) {
+    return false
+  }
+
+  const scrollObj = getScrollObj(obj)
+  const options = args[0] !== null && typeof args[0] === 'object' ? args[0] : { left: args[0], top: args[1] }
+  const current = { y: scrollObj.scrollTop, x: getScrollLeft(scrollObj) }
+  const top = parseFloat(options.top)
+  const left = parseFloat(options.left)
+  let { y, x } = current
+
+  if (!isNaN(top)) {
+    y = relative ? current.y + top : top
+  }
+
+  if (!isNaN(left)) {
+    // scrollLeft coordinates are physical, they run backwards in containers starting at the right.
+    x = relative ? current.x + (isReversed(scrollObj) ? -left : left) : convertScrollLeft(scrollObj, left)
+  }
+
+  const position = {
+    y: stayInBounds(0, getScrollHeight(scrollObj) - getSnapportHeight(scrollObj), y),
+    x: stayInBounds(0, getScrollWidth(scrollObj) - getSnapportWidth(scrollObj), x)
+  }
+
+  const index = getClosestSnapIndex(obj, scrollObj, position)
+  if (index === -1) {
+    return false
+  }
+
+  snapToIndex(obj, index, position, isInstantCall(obj, options.behavior))
+  return true
+}
+
+/**
+ * check whether a scroll call from code jumps instead of animating.
+ * like in the CSSOM, a call without a behavior or with `auto` follows the scroll-behavior of the container.
+ * @param  {Object}  obj      the scroll container
+ * @param  {String}  behavior the behavior of the call
+ * @return {Boolean}
+ */
+function isInstantCall (obj, behavior) {
+  if (reducedMotion || behavior === INSTANT) {
+    return true
+  }
+
+  return behavior !== SMOOTH && getScrollBehavior(obj) !== SMOOTH
+}
+
+/**
+ * find the snap element whose snap point is closest to a scroll position.
+ * with proximity strictness, snap points out of range don't count.
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} position  the scroll position
+ * @return {Number}           index of the snap element, -1 if there is none in range
+ */
+function getClosestSnapIndex (obj, scrollObj, position) {
+  const snapType = obj.scrollSnapType
+  const max = {
+    y: getScrollHeight(scrollObj) - getSnapportHeight(scrollObj),
+    x: getScrollWidth(scrollObj) - getSnapportWidth(scrollObj)
+  }
+  const range = {
+    y: snapType.strictness === PROXIMITY ? getSnapportHeight(scrollObj) * PROXIMITY_RANGE : Infinity,
+    x: snapType.strictness === PROXIMITY ? getSnapportWidth(scrollObj) * PROXIMITY_RANGE : Infinity
+  }
+  const direction = {
+    y: position.y < scrollObj.scrollTop ? -1 : 1,
+    x: position.x < getScrollLeft(scrollObj) ? -1 : 1
+  }
+  let index = -1
+  let distance = Infinity
+
+  obj.snapElements.forEach((snapElement, i) => {
+    const snapPoint = getSnapPosition(scrollObj, obj, i, direction)
+    const delta = AXES.reduce((sum, axis) => {
+      if (!snapType[axis]) {
+        return sum
+      }
+      // snap points beyond the end of the container can't be reached
+      const axisDelta = Math.abs(Math.min(snapPoint[axis], max[axis]) - position[axis])
+      return axisDelta > range[axis] ? Infinity : sum + axisDelta
+    }, 0)
+
+    if (delta < distance) {
+      index = i
+      distance = delta
+    }
+  })
+
+  return index
+}
+
+/**
+ * snap the containers of an element whose scrollIntoView is called, when it is inside their snap elements.
+ * the snap targets are found first, so that every snapping container scrolls once, straight to its snap point.
+ * the other scroll containers around the element scroll with the original method.
+ * @param  {Object}   el       the element
+ * @param  {Array}    args     the arguments, the behavior of an options object is respected
+ * @param  {Function} original the original scrollIntoView
+ * @return {Boolean}           whether a container snapped, the original method does the scroll otherwise
+ */
+function interceptScrollIntoView (el, args, original) {
+  const options = args[0] !== null && typeof args[0] === 'object' ? args[0] : {}
+  const targets = getSnapTargets(el)
+  if (!targets.length) {
+    return false
+  }
+
+  if (hasOtherScrollParents(el, targets)) {
+    // the original method scrolls the snapping containers as well, they are back in place before anything is drawn.
+    const positions = targets.map(({ obj }) => {
+      const scrollObj = getScrollObj(obj)
+      return { y: scrollObj.scrollTop, x: getScrollLeft(scrollObj) }
+    })
+
+    original.apply(el, args)
+    targets.forEach(({ obj }, i) => {
+      const scrollObj = getScrollObj(obj)
+      scrollObj.scrollTop = positions[i].y
+      setScrollLeft(scrollObj, positions[i].x)
+    })
+  }
+
+  targets.forEach(({ obj, index }) => {
+    snapToIndex(obj, index, null, isInstantCall(obj, options.behavior))
+  })
+  return true
+}
+
+/**
+ * get the snapping containers that have a snap element containing an element, with the index of that snap element.
+ * @param  {Object} el
+ * @return {Array}
+ */
+function getSnapTargets (el) {
+  const targets = []
+
+  containers.forEach((obj) => {
+    if (!isSnapping(obj)) {
+      return
+    }
+
+    for (let i = 0; i < obj.snapElements.length; i++) {
+      if (obj.snapElements[i] === el || obj.snapElements[i].contains(el)) {
+        targets.push({ obj, index: i })
+        return
+      }
+    }
+  })
+
+  return targets
+}
+
+/**
+ * check whether an element has scroll containers, the viewport included, other than the snapping ones.
+ * @param  {Object}  el
+ * @param  {Array}   targets the snapping containers, see getSnapTargets
+ * @return {Boolean}
+ */
+function hasOtherScrollParents (el, targets) {
+  for (let parent = getScrollParent(el); parent !== null; parent = parent === document ? null : getScrollParent(parent)) {
+    if (!targets.some(({ obj }) => obj === parent)) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * snap every container that has a snap element containing an element to that snap element.
+ * @param  {Object}  el
+ * @param  {String}  behavior the behavior of the scroll, see isInstantCall
+ */
+function snapIntoView (el, behavior) {
+  getSnapTargets(el).forEach(({ obj, index }) => {
+    snapToIndex(obj, index, null, isInstantCall(obj, behavior))
+  })
+}
+
+/**
+ * hashchange handler
+ * the browser jumped to the target of the fragment, ignoring the scroll padding. its containers snap to it right away.
+ */
+function hashChangeHandler () {
+  let id = window.location.hash.slice(1)
+  try {
+    id = decodeURIComponent(id)
+  } catch (e) {}
+
+  const target = id && (document.getElementById(id) || document.getElementsByName(id)[0])
+  if (target) {
+    snapIntoView(target, INSTANT)
+  }
+}
@@ -0,0 +1,121 @@
+import { getScrollObj, isReversed } from './geometry'
+import { getStepIndex, isInNestedScroller, isSnapping, scrollToSnap } from './snap'
+
+/**
+ * keyCodes of the keys moving to the next or previous snap point on an axis, and to the first or last one.
+ * @type {Object}
+ */
+const KEYS = {
+  SPACE: 32,
+  PAGE_UP: 33,
+  PAGE_DOWN: 34,
+  END: 35,
+  HOME: 36,
+  LEFT: 37,
+  UP: 38,
+  RIGHT: 39,
+  DOWN: 40
+}
+
+/**
+ * keyboard handler
+ * this is the callback for keydown events. instead of scrolling a bit and snapping back,
+ * the keys move the container directly to the next, previous, first or last snap point.
+ */
+export let keyHandler = function (evt) {
+  // use evt.currentTarget as container, this is the document for html/body containers.
+  const obj = evt.currentTarget
+  const target = evt.target
+
+  // leave the key alone when a nested container already moved, or when it's a shortcut or typed text.
+  if (evt.defaultPrevented || evt.altKey || evt.ctrlKey || evt.metaKey ||
+      !isSnapping(obj) || obj.snapElements.length === 0 || isEditable(target)) {
+    return
+  }
+
+  const snapType = obj.scrollSnapType
+  const reversed = isReversed(getScrollObj(obj))
+  const pageAxis = snapType.y ? 'y' : 'x'
+  const last = obj.snapElements.length - 1
+  let axis = pageAxis
+  let step = 0
+  let index
+
+  switch (evt.keyCode) {
+    case KEYS.UP:
+      axis = 'y'
+      step = -1
+      break
+    case KEYS.DOWN:
+      axis = 'y'
+      step = 1
+      break
+    case KEYS.LEFT:
+      axis = 'x'
+      step = reversed ? 1 : -1
+      break
+    case KEYS.RIGHT:
+      axis = 'x'
+      step = reversed ? -1 : 1
+      break
+    case KEYS.PAGE_UP:
+      step = -1
+      break
+    case KEYS.PAGE_DOWN:
+      step = 1
+      break
+    case KEYS.SPACE:
+      // space activates buttons and links
+      if (isInteractive(target)) {
+        return
+      }
+      step = evt.shiftKey ? -1 : 1
+      break
+    case KEYS.HOME:
+      index = 0
+      break
+    case KEYS.END:
+      index = last
+      break
+    default:
+      return
+  }
+
+  // the container doesn't snap on this axis, or a scrollable element inside the container should scroll instead.
+  if (!snapType[axis] || isInNestedScroller(target, obj, axis)) {
+    return
+  }
+
+  if (typeof index === 'undefined') {
+    index = getStepIndex(obj, axis, step)
+
+    // the keys scroll as usual inside a large snap area
+    if (index === null) {
+      return
+    }
+  }
+
+  evt.preventDefault()
+
+  if (index !== -1) {
+    scrollToSnap(obj, index)
+  }
+}
+
+/**
+ * check whether an element takes text input
+ * @param  {Object}  el
+ * @return {Boolean}
+ */
+function isEditable (el) {
+  return !!el.isContentEditable || /^(input|textarea|select)$/i.test(el.tagName || '')
+}
+
+/**
+ * check whether an element reacts to the space key
+ * @param  {Object}  el
+ * @return {Boolean}
+ */
+function isInteractive (el) {
+  return /^(a|button|summary|option)$/i.test(el.tagName || '')
+}
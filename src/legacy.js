@@ -0,0 +1,151 @@
+import { parseLength, splitLengths } from './length'
+
+const COORDINATE = 'scroll-snap-coordinate'
+const DESTINATION = 'scroll-snap-destination'
+const REPEAT_REGEX = /^repeat\(\s*([\s\S]+?)\s*\)$/i
+
+/**
+ * the properties of the older spec
+ * @type {Array}
+ */
+export const LEGACY_PROPERTIES = ['scroll-snap-points-x', 'scroll-snap-points-y', COORDINATE, DESTINATION]
+
+/**
+ * position keywords as percentages
+ * @type {Object}
+ */
+const KEYWORD_PERCENTAGES = {
+  left: 0,
+  top: 0,
+  center: 50,
+  right: 100,
+  bottom: 100
+}
+
+/**
+ * translate the declarations of the older spec to the current one, without approximating.
+ * a scroll-snap-coordinate becomes a start scroll-snap-align of the snap element with the coordinate as a negative
+ * scroll-margin, so that the snap area starts at the coordinate. percentages in it are of the snap element.
+ * a scroll-snap-destination becomes the scroll-padding of the container, so that the snapport starts at it.
+ * scroll-snap-points-x/y have no counterpart and are kept, see parseSnapPoints.
+ * the coordinates are physical, they are translated for horizontal left-to-right writing modes.
+ * @param  {Object} declaration
+ * @return {Object}             the declaration itself if it has no legacy properties
+ */
+export function translateLegacy (declaration) {
+  const names = Object.keys(declaration)
+  if (names.indexOf(COORDINATE) === -1 && names.indexOf(DESTINATION) === -1) {
+    return declaration
+  }
+
+  const translated = {}
+  // declarations of the current spec take precedence
+  const translate = (name, value) => {
+    if (typeof declaration[name] === 'undefined') {
+      translated[name] = value
+    }
+  }
+
+  names.forEach((name) => {
+    if (name === COORDINATE) {
+      translateCoordinate(declaration[name], translate)
+    } else if (name === DESTINATION) {
+      translateDestination(declaration[name], translate)
+    } else {
+      translated[name] = declaration[name]
+    }
+  })
+
+  return translated
+}
+
+/**
+ * parse scroll-snap-points-x or scroll-snap-points-y, the interval of `repeat(<length>)`.
+ * percentages resolve against the size of the snapport.
+ * @param  {String} strValue
+ * @return {Object}          the parsed length, null for `none` and invalid values
+ */
+export function parseSnapPoints (strValue) {
+  const result = REPEAT_REGEX.exec((strValue || '').trim())
+  return result === null ? null : parseLength(result[1])
+}
+
+/**
+ * translate a scroll-snap-coordinate, only the first of several coordinates is used.
+ * @param {String}   strValue
+ * @param {Function} translate called with the properties of the current spec
+ */
+function translateCoordinate (strValue, translate) {
+  if (strValue.trim().toLowerCase() === 'none') {
+    translate('scroll-snap-align', 'none')
+    return
+  }
+
+  const position = parsePosition(strValue)
+
+  translate('scroll-snap-align', 'start start')
+  if (!isZero(position.y)) {
+    translate('scroll-margin-top', `calc(-1 * ${toLength(position.y)})`)
+  }
+  if (!isZero(position.x)) {
+    translate('scroll-margin-left', `calc(-1 * ${toLength(position.x)})`)
+  }
+}
+
+/**
+ * translate a scroll-snap-destination.
+ * @param {String}   strValue
+ * @param {Function} translate called with the properties of the current spec
+ */
+function translateDestination (strValue, translate) {
+  const position = parsePosition(strValue)
+
+  if (!isZero(position.y)) {
+    translate('scroll-padding-top', toLength(position.y))
+  }
+  if (!isZero(position.x)) {
+    translate('scroll-padding-left', toLength(position.x))
+  }
+}
+
+/**
+ * parse a position like `0 0`, `50% 50%` or `left top` to its horizontal and vertical value.
+ * like in background-position, a single value leaves the other one at the center.
+ * @param  {String} strValue
+ * @return {Object}
+ */
+function parsePosition (strValue) {
+  const parts = splitLengths(strValue.split(',')[0].trim().toLowerCase())
+  const first = parts[0] || '0'
+  const second = parts[1]
+
+  if (typeof second === 'undefined') {
+    return first === 'top' || first === 'bottom' ? { x: 'center', y: first } : { x: first, y: 'center' }
+  }
+
+  // keywords can come in either order
+  if (first === 'top' || first === 'bottom' || second === 'left' || second === 'right') {
+    return { x: second, y: first }
+  }
+
+  return { x: first, y: second }
+}
+
+/**
+ * convert a position value to a length-percentage, keywords become percentages
+ * @param  {String} value
+ * @return {String}
+ */
+function toLength (value) {
+  return typeof KEYWORD_PERCENTAGES[value] !== 'undefined' ? `${KEYWORD_PERCENTAGES[value]}%` : value
+}
+
+/**
+ * check whether a position value is at the start
+ * @param  {String}  value
+ * @return {Boolean}
+ */
+function isZero (value) {
+  const length = parseLength(toLength(value))
+  return length.value === 0 && !length.operator
+}
@@ -0,0 +1,289 @@
+const AUTO = 'auto'
+const NUMBER_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(%|[a-z]+)?/i
+
+/**
+ * px per absolute length unit
+ * @type {Object}
+ */
+const ABSOLUTE_UNITS = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 96 / 72,
+  pc: 16
+}
+
+/**
+ * the parsed value for lengths that can't be parsed
+ * @type {Object}
+ */
+const ZERO = { value: 0, unit: 'px' }
+
+/**
+ * split a list of lengths, e.g. a scroll-padding shorthand, at the whitespace outside of parentheses.
+ * @param  {String} strValue
+ * @return {Array}
+ */
+export function splitLengths (strValue) {
+  const parts = []
+  let depth = 0
+  let part = ''
+
+  for (let i = 0; i < strValue.length; i++) {
+    const char = strValue.charAt(i)
+
+    if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth--
+    }
+
+    if (depth === 0 && /\s/.test(char)) {
+      if (part) {
+        parts.push(part)
+      }
+      part = ''
+    } else {
+      part += char
+    }
+  }
+
+  if (part) {
+    parts.push(part)
+  }
+
+  return parts
+}
+
+/**
+ * parse a length-percentage, e.g. `10px`, `1.5rem`, `-2em`, `auto` or `calc(100% - 60px)`.
+ * a plain length is parsed to `{ value, unit }`, a calc() expression to a tree of
+ * `{ operator, left, right }` nodes with plain lengths as leaves.
+ * lengths that can't be parsed become `0px`.
+ * @param  {String} strValue
+ * @return {Object}
+ */
+export function parseLength (strValue) {
+  const str = strValue.trim().toLowerCase()
+
+  if (str === AUTO) {
+    return { value: 0, unit: AUTO }
+  }
+
+  const tokens = tokenize(str)
+  if (tokens === null) {
+    return ZERO
+  }
+
+  const parser = { tokens, index: 0 }
+  const length = parseSum(parser)
+
+  // trailing tokens mean the value is invalid
+  if (length === null || parser.index !== tokens.length) {
+    return ZERO
+  }
+
+  return length
+}
+
+/**
+ * split a length into tokens: numbers with their unit, operators and parentheses.
+ * `calc(` is just an opening parenthesis.
+ * @param  {String} str
+ * @return {Array}      null if the value contains anything else
+ */
+function tokenize (str) {
+  const tokens = []
+  let rest = str
+
+  while (rest.length) {
+    const previous = tokens[tokens.length - 1]
+    // a sign belongs to the number unless it follows a value, in calc() operators are surrounded by whitespace
+    const expectsValue = !previous || previous.operator || previous.open
+    let match
+
+    if ((match = /^\s+/.exec(rest))) {
+      rest = rest.slice(match[0].length)
+      continue
+    }
+
+    if (expectsValue && (match = NUMBER_REGEX.exec(rest))) {
+      const unit = match[3] || ''
+      if (unit && unit !== '%' && !isUnit(unit)) {
+        return null
+      }
+      tokens.push({ length: { value: parseFloat(match[0]), unit } })
+    } else if ((match = /^(-webkit-)?calc\(|^\(/.exec(rest))) {
+      tokens.push({ open: true })
+    } else if ((match = /^\)/.exec(rest))) {
+      tokens.push({ close: true })
+    } else if ((match = /^[-+*/]/.exec(rest))) {
+      tokens.push({ operator: match[0] })
+    } else {
+      return null
+    }
+
+    rest = rest.slice(match[0].length)
+  }
+
+  return tokens
+}
+
+/**
+ * parse a sum of products.
+ * @param  {Object} parser
+ * @return {Object}
+ */
+function parseSum (parser) {
+  let left = parseProduct(parser)
+  let token = parser.tokens[parser.index]
+
+  while (left !== null && token && (token.operator === '+' || token.operator === '-')) {
+    parser.index++
+    const right = parseProduct(parser)
+    left = right === null ? null : { operator: token.operator, left, right }
+    token = parser.tokens[parser.index]
+  }
+
+  return left
+}
+
+/**
+ * parse a product of values.
+ * @param  {Object} parser
+ * @return {Object}
+ */
+function parseProduct (parser) {
+  let left = parseValue(parser)
+  let token = parser.tokens[parser.index]
+
+  while (left !== null && token && (token.operator === '*' || token.operator === '/')) {
+    parser.index++
+    const right = parseValue(parser)
+    left = right === null ? null : { operator: token.operator, left, right }
+    token = parser.tokens[parser.index]
+  }
+
+  return left
+}
+
+/**
+ * parse a length or a parenthesized sum.
+ * @param  {Object} parser
+ * @return {Object}
+ */
+function parseValue (parser) {
+  const token = parser.tokens[parser.index++]
+
+  if (!token) {
+    return null
+  }
+
+  if (token.length) {
+    return token.length
+  }
+
+  if (token.open) {
+    const sum = parseSum(parser)
+    const close = parser.tokens[parser.index++]
+    return close && close.close ? sum : null
+  }
+
+  return null
+}
+
+/**
+ * check if a unit is supported
+ * @param  {String}  unit
+ * @return {Boolean}
+ */
+function isUnit (unit) {
+  return typeof ABSOLUTE_UNITS[unit] !== 'undefined' ||
+    ['em', 'rem', 'ex', 'ch', 'vw', 'vh', 'vmin', 'vmax'].indexOf(unit) !== -1
+}
+
+/**
+ * convert a parsed length to px.
+ * @param  {Object} length       the parsed length
+ * @param  {Object} el           the element the length is declared on, font-relative units resolve against it
+ * @param  {Number} percentBasis the size in px percentages resolve against
+ * @return {Number}
+ */
+export function toPx (length, el, percentBasis) {
+  if (length.operator) {
+    const left = toPx(length.left, el, percentBasis)
+    const right = toPx(length.right, el, percentBasis)
+
+    switch (length.operator) {
+      case '+':
+        return left + right
+      case '-':
+        return left - right
+      case '*':
+        return left * right
+      default:
+        return right === 0 ? 0 : left / right
+    }
+  }
+
+  const { value, unit } = length
+
+  if (typeof ABSOLUTE_UNITS[unit] !== 'undefined') {
+    return value * ABSOLUTE_UNITS[unit]
+  }
+
+  switch (unit) {
+    case '%':
+      return percentBasis * (value / 100)
+    case 'em':
+      return value * getFontSize(el)
+    case 'rem':
+      return value * getFontSize(document.documentElement)
+    case 'ex':
+    case 'ch':
+      // without measuring the font, half an em is the usual approximation
+      return value * getFontSize(el) / 2
+    case 'vw':
+      return getViewportWidth() * (value / 100)
+    case 'vh':
+      return getViewportHeight() * (value / 100)
+    case 'vmin':
+      return Math.min(getViewportWidth(), getViewportHeight()) * (value / 100)
+    case 'vmax':
+      return Math.max(getViewportWidth(), getViewportHeight()) * (value / 100)
+    case AUTO:
+      // the UA determines auto padding, browsers use 0
+      return 0
+    default:
+      // plain numbers in calc()
+      return value
+  }
+}
+
+/**
+ * get the computed font size of an element in px
+ * @param  {Object} el
+ * @return {Number}
+ */
+function getFontSize (el) {
+  const fontSize = parseFloat(window.getComputedStyle(el === document ? document.documentElement : el).fontSize)
+  return isNaN(fontSize) ? 16 : fontSize
+}
+
+/**
+ * get the viewport width vw resolves against
+ * @return {Number}
+ */
+function getViewportWidth () {
+  return window.innerWidth || document.documentElement.clientWidth
+}
+
+/**
+ * get the viewport height vh resolves against
+ * @return {Number}
+ */
+function getViewportHeight () {
+  return window.innerHeight || document.documentElement.clientHeight
+}
@@ -0,0 +1,160 @@
+import { AXES, END, NONE, START } from './constants'
+import {
+  getScrollContainer, getScrollObj, getScrollParent, getSnapAlignment, getSnapLength, getSnapportHeight,
+  getSnapportRect, getSnapportWidth, getWritingMode
+} from './geometry'
+import { parseScrollSnapAlignment, parseScrollSnapType } from './declarations'
+
+/**
+ * snap a container to one of its snap elements, in browsers snapping natively.
+ * the container scrolls to the snap position, the browser snaps there after the scroll.
+ * @param  {Object}        container      the scroll-container, or the html/body element
+ * @param  {Number|Object} indexOrElement index of the snap element or the element itself
+ * @param  {Function}      callback       called when the container is snapped
+ */
+export function scrollToSnapNatively (container, indexOrElement, callback) {
+  const obj = getScrollContainer(container)
+  const snapElements = getNativeSnapElements(obj)
+  const snapElement = typeof indexOrElement === 'number' ? snapElements[indexOrElement] : indexOrElement
+  if (!snapElement || snapElements.indexOf(snapElement) === -1) {
+    return
+  }
+
+  const scrollObj = getScrollObj(obj)
+  const position = getNativeSnapPosition(obj, scrollObj, snapElement)
+  const options = {}
+  if (!isNaN(position.y)) {
+    options.top = position.y
+  }
+  if (!isNaN(position.x)) {
+    options.left = position.x
+  }
+
+  // without a behavior the scroll follows the scroll-behavior of the container
+  if (obj === document) {
+    window.scrollTo(options)
+  } else {
+    scrollObj.scrollTo(options)
+  }
+
+  if (typeof callback === 'function') {
+    whenScrollSettles(scrollObj, callback)
+  }
+}
+
+/**
+ * get the snap state of a scroll-container, in browsers snapping natively.
+ * the index is the one of the snap element whose snap position is closest to the scroll position.
+ * @param  {Object} container the scroll-container, or the html/body element
+ * @return {Object}           null if the container doesn't snap
+ */
+export function getNativeSnapState (container) {
+  const obj = getScrollContainer(container)
+  const el = obj === document ? document.documentElement : obj
+  const style = window.getComputedStyle(el)
+  const type = style.scrollSnapType
+  if (!type || type === NONE) {
+    return null
+  }
+
+  const scrollObj = getScrollObj(obj)
+  const snapElements = getNativeSnapElements(obj)
+  const current = { y: scrollObj.scrollTop, x: scrollObj.scrollLeft }
+  let index = -1
+  let distance = Infinity
+
+  snapElements.forEach((snapElement, i) => {
+    const position = getNativeSnapPosition(obj, scrollObj, snapElement)
+    const delta = AXES.reduce((sum, axis) => isNaN(position[axis]) ? sum : sum + Math.abs(position[axis] - current[axis]), 0)
+    if (delta < distance) {
+      index = i
+      distance = delta
+    }
+  })
+
+  return {
+    index,
+    element: snapElements[index] || null,
+    snapElements,
+    snapType: parseScrollSnapType({ 'scroll-snap-type': type }, getWritingMode(obj)),
+    scrollPadding: {
+      top: parseFloat(style.scrollPaddingTop) || 0,
+      right: parseFloat(style.scrollPaddingRight) || 0,
+      bottom: parseFloat(style.scrollPaddingBottom) || 0,
+      left: parseFloat(style.scrollPaddingLeft) || 0
+    }
+  }
+}
+
+/**
+ * get the snap elements of a container from their computed style, in browsers snapping natively.
+ * @param  {Object} obj the scroll container
+ * @return {Array}      in document order
+ */
+function getNativeSnapElements (obj) {
+  const root = obj === document ? document.documentElement : obj
+
+  return [].filter.call(root.querySelectorAll('*'), (el) => {
+    const alignment = parseScrollSnapAlignment({ 'scroll-snap-align': window.getComputedStyle(el).scrollSnapAlign || NONE })
+    return (alignment.block !== NONE || alignment.inline !== NONE) && getScrollParent(el) === obj
+  })
+}
+
+/**
+ * calc the scroll position snapping a container to a snap element, from the computed styles.
+ * the x position is a scrollLeft of the browser, which moves the content to the left as it grows,
+ * so on a reversed x axis the start of the snapport is its right edge.
+ * @param  {Object} obj         the scroll container
+ * @param  {Object} scrollObj   the element scrolling is applied to
+ * @param  {Object} snapElement
+ * @return {Object}             NaN on axes the snap element doesn't align on
+ */
+function getNativeSnapPosition (obj, scrollObj, snapElement) {
+  const style = window.getComputedStyle(snapElement)
+  const containerStyle = window.getComputedStyle(obj === document ? document.documentElement : obj)
+  const writingMode = getWritingMode(obj)
+  const alignment = getSnapAlignment({
+    scrollSnapAlignment: parseScrollSnapAlignment({ 'scroll-snap-align': style.scrollSnapAlign })
+  }, { writingMode })
+  const alignX = !writingMode.reversed ? alignment.x : alignment.x === START ? END : alignment.x === END ? START : alignment.x
+  const rect = snapElement.getBoundingClientRect()
+  const snapport = getSnapportRect(scrollObj)
+  const px = (value) => parseFloat(value) || 0
+  const margin = { top: px(style.scrollMarginTop), right: px(style.scrollMarginRight), bottom: px(style.scrollMarginBottom), left: px(style.scrollMarginLeft) }
+  const padding = { top: px(containerStyle.scrollPaddingTop), right: px(containerStyle.scrollPaddingRight), bottom: px(containerStyle.scrollPaddingBottom), left: px(containerStyle.scrollPaddingLeft) }
+  const height = getSnapportHeight(scrollObj) - padding.top - padding.bottom
+  const width = getSnapportWidth(scrollObj) - padding.left - padding.right
+  const areaHeight = rect.height + margin.top + margin.bottom
+  const areaWidth = rect.width + margin.left + margin.right
+
+  return {
+    y: alignment.y === NONE ? NaN : scrollObj.scrollTop + rect.top - margin.top - snapport.top - padding.top +
+      getSnapLength(areaHeight, alignment.y, 1) - getSnapLength(height, alignment.y, 1),
+    x: alignX === NONE ? NaN : scrollObj.scrollLeft + rect.left - margin.left - snapport.left - padding.left +
+      getSnapLength(areaWidth, alignX, 1) - getSnapLength(width, alignX, 1)
+  }
+}
+
+/**
+ * call back once the scroll position of a container rests for a few frames.
+ * @param  {Object}   scrollObj the element scrolling is applied to
+ * @param  {Function} callback  called with the scroll position
+ */
+function whenScrollSettles (scrollObj, callback) {
+  const requestFrame = window.requestAnimationFrame || ((fn) => setTimeout(fn, 16))
+  let previous = null
+  let frames = 0
+
+  const check = () => {
+    const current = { y: scrollObj.scrollTop, x: scrollObj.scrollLeft }
+    frames = previous !== null && previous.y === current.y && previous.x === current.x ? frames + 1 : 0
+    previous = current
+
+    if (frames >= 3) {
+      callback(current)
+    } else {
+      requestFrame(check)
+    }
+  }
+  requestFrame(check)
+}
@@ -0,0 +1,216 @@
+import { parseEasing } from './easing'
+import { INSTANT, SMOOTH } from './constants'
+import { getScrollContainer } from './geometry'
+
+const AUTO = 'auto'
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+
+/**
+ * constraint to jumping to the next snap-point.
+ * when scrolling further than SNAP_CONSTRAINT snap-points,
+ * but the current distance is less than 1-0.18 (read: 18 percent),
+ * the snap-will go back to the closer snap-point.
+ */
+const CONSTRAINT = 0.18
+
+/**
+ * time in ms after which scrolling is considered finished.
+ * the scroll timeouts are timed with this.
+ * whenever a new scroll event is triggered, the previous timeout is deleted.
+ * @type {Number}
+ */
+const SCROLL_TIMEOUT = 45
+
+/**
+ * time for the smooth scrolling
+ * @type {Number}
+ */
+const SCROLL_TIME = 350
+
+/**
+ * the default options.
+ * duration is the maximum time for the smooth scrolling in ms, or a function returning the time for a distance in px.
+ * easing is an easing function, the name of a preset or a cubic bezier curve, see easing.js.
+ * threshold is the CONSTRAINT, scrollTimeout the SCROLL_TIMEOUT.
+ * behavior is smooth, instant or auto to follow the scroll-behavior of the container.
+ * interceptScrolls makes scrolls from code and fragment navigation snap, see intercept.js.
+ * debug draws the snap geometry over the containers and logs the snap decisions, see isDebugging in snap.js.
+ * @type {Object}
+ */
+const DEFAULT_OPTIONS = {
+  duration: SCROLL_TIME,
+  easing: 'ease-out-cubic',
+  threshold: CONSTRAINT,
+  scrollTimeout: SCROLL_TIMEOUT,
+  behavior: SMOOTH,
+  interceptScrolls: false,
+  debug: false
+}
+
+/**
+ * the options passed to the polyfill, merged with the defaults.
+ * scroll containers can override them, see getContainerOptions.
+ * @type {Object}
+ */
+export let options = normalizeOptions({}, DEFAULT_OPTIONS)
+
+/**
+ * set the options passed to the polyfill, the defaults fill in the ones left out.
+ * @param  {Object} userOptions
+ */
+export function setOptions (userOptions) {
+  options = normalizeOptions(userOptions, DEFAULT_OPTIONS)
+}
+
+/**
+ * the prefers-reduced-motion media query list, while the polyfill watches it.
+ * @type {Object}
+ */
+let reducedMotionQuery = null
+
+/**
+ * whether the user prefers reduced motion, snaps jump instantly as long as it is set.
+ * @type {Boolean}
+ */
+export let reducedMotion = false
+
+/**
+ * merge options with defaults, invalid options fall back to the defaults.
+ * @param  {Object} userOptions
+ * @param  {Object} defaults
+ * @return {Object}             options with the easing as a function
+ */
+export function normalizeOptions (userOptions, defaults) {
+  const { duration, easing, threshold, scrollTimeout, behavior, interceptScrolls, debug } = userOptions
+
+  return {
+    duration: typeof duration === 'function' || (typeof duration === 'number' && duration >= 0) ? duration : defaults.duration,
+    easing: parseEasing(easing) || parseEasing(defaults.easing),
+    threshold: typeof threshold === 'number' && threshold >= 0 && threshold <= 1 ? threshold : defaults.threshold,
+    scrollTimeout: typeof scrollTimeout === 'number' && scrollTimeout >= 0 ? scrollTimeout : defaults.scrollTimeout,
+    behavior: [SMOOTH, INSTANT, AUTO].indexOf(behavior) !== -1 ? behavior : defaults.behavior,
+    interceptScrolls: typeof interceptScrolls === 'boolean' ? interceptScrolls : defaults.interceptScrolls,
+    debug: typeof debug === 'boolean' ? debug : defaults.debug
+  }
+}
+
+/**
+ * get the options of a scroll container.
+ * data-scroll-snap-* attributes and --scroll-snap-* custom properties override the options passed to the polyfill,
+ * e.g. `data-scroll-snap-duration="500"` or `--scroll-snap-easing: cubic-bezier(0.2, 0, 0, 1)`.
+ * @param  {Object} el the element the scroll-snap-type is declared on
+ * @return {Object}
+ */
+export function getContainerOptions (el) {
+  const style = window.getComputedStyle(el)
+  const read = (name) => {
+    const attribute = el.getAttribute(`data-scroll-snap-${name}`)
+    // custom properties are an empty string when not declared, or undefined without support
+    return attribute !== null ? attribute : (style.getPropertyValue(`--scroll-snap-${name}`) || '').trim()
+  }
+
+  return normalizeOptions({
+    duration: parseTime(read('duration')),
+    easing: read('easing') || null,
+    threshold: parseFloat(read('threshold')),
+    scrollTimeout: parseTime(read('timeout')),
+    behavior: read('behavior').toLowerCase()
+  }, options)
+}
+
+/**
+ * parse a time in ms or s, plain numbers are ms.
+ * @param  {String} strValue
+ * @return {Number}          NaN if the value is no time
+ */
+function parseTime (strValue) {
+  const result = /^(\d*\.?\d+)(ms|s)?$/i.exec(strValue)
+  if (result === null) {
+    return NaN
+  }
+  return parseFloat(result[1]) * (result[2] && result[2].toLowerCase() === 's' ? 1000 : 1)
+}
+
+/**
+ * get the options for a scroll context
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @return {Object}
+ */
+export function getOptions (scrollObj) {
+  return getScrollContainer(scrollObj).scrollSnapOptions || options
+}
+
+/**
+ * check whether a scroll context snaps without animation,
+ * because the user prefers reduced motion or the behavior option is instant.
+ * @param  {Object}  scrollObj
+ * @return {Boolean}
+ */
+export function isInstant (scrollObj) {
+  if (reducedMotion) {
+    return true
+  }
+
+  const { behavior } = getOptions(scrollObj)
+  if (behavior === AUTO) {
+    return getScrollBehavior(getScrollContainer(scrollObj)) !== SMOOTH
+  }
+
+  return behavior === INSTANT
+}
+
+/**
+ * get the CSS scroll-behavior of a scroll-container.
+ * browsers without scroll-behavior support fall back to the declared value.
+ * @param  {Object} el the scroll-container
+ * @return {String}
+ */
+export function getScrollBehavior (el) {
+  // the scroll-behavior of the root element applies to the viewport
+  const behavior = window.getComputedStyle(el === document ? document.documentElement : el).scrollBehavior
+  return behavior || el.scrollBehavior || AUTO
+}
+
+/**
+ * start watching prefers-reduced-motion.
+ * the media query list is live, snaps started after a change respect the new preference.
+ */
+export function watchReducedMotion () {
+  if (reducedMotionQuery !== null || typeof window.matchMedia !== 'function') {
+    return
+  }
+
+  reducedMotionQuery = window.matchMedia(REDUCED_MOTION_QUERY)
+  reducedMotion = reducedMotionQuery.matches
+  if (typeof reducedMotionQuery.addEventListener === 'function') {
+    reducedMotionQuery.addEventListener('change', reducedMotionHandler, false)
+  } else if (typeof reducedMotionQuery.addListener === 'function') {
+    reducedMotionQuery.addListener(reducedMotionHandler)
+  }
+}
+
+/**
+ * stop watching prefers-reduced-motion.
+ */
+export function unwatchReducedMotion () {
+  if (reducedMotionQuery === null) {
+    return
+  }
+
+  if (typeof reducedMotionQuery.removeEventListener === 'function') {
+    reducedMotionQuery.removeEventListener('change', reducedMotionHandler, false)
+  } else if (typeof reducedMotionQuery.removeListener === 'function') {
+    reducedMotionQuery.removeListener(reducedMotionHandler)
+  }
+  reducedMotionQuery = null
+  reducedMotion = false
+}
+
+/**
+ * reduced motion got preferred or not any more.
+ * running snap animations jump to their end once it is preferred.
+ * @param  {Object} evt the media query list event
+ */
+function reducedMotionHandler (evt) {
+  reducedMotion = evt.matches
+}
@@ -0,0 +1,124 @@
+import { toPx } from './length'
+import { START } from './constants'
+import {
+  getScrollHeight, getScrollLeft, getScrollObj, getScrollWidth, getSnapArea, getSnapportHeight, getSnapportRect,
+  getSnapportWidth, isReversed
+} from './geometry'
+
+/**
+ * the maximum number of snap points of the older spec per container
+ * @type {Number}
+ */
+const MAX_SNAP_POINTS = 1000
+
+/**
+ * check whether a container has snap points of the older spec
+ * @param  {Object}  obj the scroll container
+ * @return {Boolean}
+ */
+export function hasSnapPoints (obj) {
+  return !!obj.scrollSnapPoints && (obj.scrollSnapPoints.x !== null || obj.scrollSnapPoints.y !== null)
+}
+
+/**
+ * check whether a snap element is a snap point of the older spec rather than an element
+ * @param  {Object}  snapElement
+ * @return {Boolean}
+ */
+export function isSnapPoint (snapElement) {
+  return snapElement.scrollSnapPoint === true
+}
+
+/**
+ * replace the snap points of the older spec of a container, e.g. after its size changed.
+ * the snap points repeat at their interval from the start of the scrollable area, on both axes they form a grid.
+ * they are sorted in scroll order together with the snap elements.
+ * @param  {Object} obj the scroll container
+ */
+export function updateSnapPoints (obj) {
+  let snapElements = obj.snapElements.filter((snapElement) => !isSnapPoint(snapElement))
+
+  if (hasSnapPoints(obj)) {
+    const scrollObj = getScrollObj(obj)
+    const el = obj === document ? document.documentElement : obj
+    const width = getSnapportWidth(scrollObj)
+    const height = getSnapportHeight(scrollObj)
+    const x = getRepeatedPositions(obj.scrollSnapPoints.x, el, width, getScrollWidth(scrollObj) - width)
+    const y = getRepeatedPositions(obj.scrollSnapPoints.y, el, height, getScrollHeight(scrollObj) - height)
+    const columns = x.positions.slice(0, Math.max(1, Math.floor(MAX_SNAP_POINTS / y.positions.length)))
+
+    y.positions.forEach((top) => {
+      columns.forEach((left) => {
+        snapElements.push(createSnapPoint(scrollObj, {
+          top,
+          left,
+          width: x.interval || width,
+          height: y.interval || height
+        }))
+      })
+    })
+
+    const areas = snapElements.map((snapElement) => getSnapArea(snapElement, scrollObj))
+    snapElements = snapElements
+      .map((snapElement, index) => index)
+      .sort((a, b) => (areas[a].top - areas[b].top) || (areas[a].left - areas[b].left) || a - b)
+      .map((index) => snapElements[index])
+  }
+
+  // the array is kept, others refer to it.
+  obj.snapElements.length = 0
+  snapElements.forEach((snapElement) => {
+    obj.snapElements.push(snapElement)
+  })
+}
+
+/**
+ * get the positions snap points repeat at on one axis
+ * @param  {Object} interval the parsed interval, null without snap points on the axis
+ * @param  {Object} el       the element the interval is declared on
+ * @param  {Number} size     the size of the snapport percentages resolve against
+ * @param  {Number} max      the maximum scroll position
+ * @return {Object}          the positions and the interval in px, a single position at 0 without snap points
+ */
+function getRepeatedPositions (interval, el, size, max) {
+  const px = interval === null ? 0 : toPx(interval, el, size)
+  const positions = [0]
+
+  // intervals below a pixel don't repeat
+  if (px >= 1) {
+    for (let position = px; position <= max + 1 && positions.length < MAX_SNAP_POINTS; position += px) {
+      positions.push(position)
+    }
+  }
+
+  return { positions, interval: px >= 1 ? px : 0 }
+}
+
+/**
+ * create a snap point of the older spec, it stands in for a snap element aligned at the start.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} area      top, left, width and height in the scrollable area, left from the start of the x axis
+ * @return {Object}
+ */
+function createSnapPoint (scrollObj, area) {
+  return {
+    scrollSnapPoint: true,
+    scrollSnapAlignment: { block: START, inline: START },
+    offsetWidth: area.width,
+    offsetHeight: area.height,
+
+    // measured like an element, relative to the current scroll position
+    getBoundingClientRect () {
+      const snapport = getSnapportRect(scrollObj)
+      const top = snapport.top + area.top - scrollObj.scrollTop
+      const offset = area.left - getScrollLeft(scrollObj)
+      const left = isReversed(scrollObj) ? snapport.right - offset - area.width : snapport.left + offset
+
+      return { top, left, right: left + area.width, bottom: top + area.height, width: area.width, height: area.height }
+    },
+
+    contains () {
+      return false
+    }
+  }
+}
@@ -0,0 +1,181 @@
+import { START } from './constants'
+import { setUpElement, snapRules, tearDownElement } from './setup'
+
+/**
+ * the containers registered from code, set up again on refresh
+ * @type {Array}
+ */
+export const registrations = []
+
+/**
+ * turn on snapping for a container from code, with the same declarations a stylesheet would make.
+ * registering a container again replaces its registration.
+ * @param  {Object} container the scroll-container, or the html/body element
+ * @param  {Object} settings  type, padding, children, align, stop and margin
+ * @return {Object}           the registration
+ */
+export function register (container, settings) {
+  unregister(container)
+
+  const registration = createRegistration(container, settings || {})
+  registrations.push(registration)
+  setUpRegistration(registration)
+
+  return registration
+}
+
+/**
+ * turn off snapping for a container registered from code
+ * @param  {Object} container
+ */
+export function unregister (container) {
+  const index = findRegistration(container)
+  if (index === -1) {
+    return
+  }
+
+  const registration = registrations.splice(index, 1)[0]
+  const { containerDeclaration, childDeclaration } = registration
+
+  for (let i = snapRules.length - 1; i >= 0; i--) {
+    if (snapRules[i].declaration === childDeclaration) {
+      snapRules.splice(i, 1)
+    }
+  }
+
+  getRegisteredChildren(registration).forEach((child) => {
+    tearDownElement(child, childDeclaration)
+  })
+  tearDownElement(container, containerDeclaration)
+}
+
+/**
+ * find the registration of a container
+ * @param  {Object} container
+ * @return {Number}           -1 if the container isn't registered
+ */
+export function findRegistration (container) {
+  for (let i = 0; i < registrations.length; i++) {
+    if (registrations[i].container === container) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * create the declarations for a container registered from code and for its snap elements.
+ * @param  {Object} container
+ * @param  {Object} settings
+ * @return {Object}
+ */
+export function createRegistration (container, settings) {
+  const { type, padding, children, align, stop, margin } = settings
+  const containerDeclaration = { 'scroll-snap-type': type || 'y mandatory' }
+  const childDeclaration = { 'scroll-snap-align': align || START }
+
+  if (typeof padding !== 'undefined' && padding !== null) {
+    containerDeclaration['scroll-padding'] = toLengthList(padding)
+  }
+  if (stop) {
+    childDeclaration['scroll-snap-stop'] = stop
+  }
+  if (typeof margin !== 'undefined' && margin !== null) {
+    childDeclaration['scroll-margin'] = toLengthList(margin)
+  }
+
+  return {
+    container,
+    containerDeclaration,
+    childDeclaration,
+    // a selector or the default of all children also applies to snap elements added later on
+    selectors: typeof children === 'string' ? children : null,
+    children: typeof children === 'string' || !children ? null : toElementList(children)
+  }
+}
+
+/**
+ * convert lengths given in code to a CSS value, numbers are px.
+ * @param  {Number|String|Array} value a length or a list of lengths, e.g. `[0, '1rem']`
+ * @return {String}
+ */
+function toLengthList (value) {
+  const lengths = Object.prototype.toString.call(value) === '[object Array]' ? value : [value]
+  return lengths.map((length) => typeof length === 'number' ? `${length}px` : String(length)).join(' ')
+}
+
+/**
+ * convert an element, a NodeList or an array of elements to an array
+ * @param  {Object} elements
+ * @return {Array}
+ */
+function toElementList (elements) {
+  return typeof elements.length === 'number' ? [].slice.call(elements) : [elements]
+}
+
+/**
+ * get the snap elements of a container registered from code
+ * @param  {Object} registration
+ * @return {Array}
+ */
+export function getRegisteredChildren (registration) {
+  const { container, selectors, children } = registration
+
+  if (children !== null) {
+    return children
+  }
+
+  return [].slice.call(selectors !== null ? container.querySelectorAll(selectors) : container.children)
+}
+
+/**
+ * set up a container registered from code and its snap elements,
+ * through the same pipeline as the rules found in stylesheets.
+ * @param  {Object} registration
+ */
+export function setUpRegistration (registration) {
+  const { container, containerDeclaration, childDeclaration, selectors, children } = registration
+
+  setUpElement(container, containerDeclaration)
+
+  if (children === null) {
+    snapRules.push({ selectors, declaration: childDeclaration, scope: container })
+  }
+
+  getRegisteredChildren(registration).forEach((child) => {
+    setUpElement(child, childDeclaration)
+  })
+}
+
+/**
+ * apply a registration as inline styles, in browsers snapping natively.
+ * @param  {Object}  registration
+ * @param  {Boolean} apply        false to remove the inline styles
+ */
+export function styleRegistration (registration, apply) {
+  const setStyle = (el, declaration) => {
+    Object.keys(declaration).forEach((name) => {
+      if (apply) {
+        el.style.setProperty(name, declaration[name])
+      } else {
+        el.style.removeProperty(name)
+      }
+    })
+  }
+
+  setStyle(registration.container, registration.containerDeclaration)
+  getRegisteredChildren(registration).forEach((child) => {
+    setStyle(child, registration.childDeclaration)
+  })
+}
+
+/**
+ * turn off a registration applied as inline styles, in browsers snapping natively.
+ * @param  {Object} container
+ */
+export function unstyleRegistration (container) {
+  const index = findRegistration(container)
+  if (index !== -1) {
+    styleRegistration(registrations.splice(index, 1)[0], false)
+  }
+}
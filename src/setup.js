@@ -0,0 +1,518 @@
+import { isOverlay, removeOverlay } from './debug'
+import { translateLegacy } from './legacy'
+import { getContainerOptions } from './options'
+import { getScrollContainer, getScrollParent, getWritingMode } from './geometry'
+import {
+  hasBoxLengths, hasContainerDeclaration, hasSnapElementDeclaration, hasSnapPointsDeclaration, parseScrollMargin,
+  parseScrollPadding, parseScrollSnapAlignment, parseScrollSnapPoints, parseScrollSnapStop, parseScrollSnapType
+} from './declarations'
+import { hasSnapPoints, isSnapPoint, updateSnapPoints } from './points'
+import {
+  cancelAnimation, containers, createScrollState, handler, isSnapping, scrollEndHandler, snapToIndex,
+  supportsScrollEnd
+} from './snap'
+import { gestureHandler, getGestureEvents } from './gesture'
+import { wheelHandler } from './wheel'
+import { keyHandler } from './keyboard'
+
+/**
+ * set up an element for scroll-snap behaviour
+ * @param {Object} el           HTML element
+ * @param {Object} declaration  CSS declarations
+ */
+export function setUpElement (el, declaration) {
+  // declarations of the older spec are set up like their current counterparts
+  declaration = translateLegacy(declaration)
+
+  // an element can be a scroll-container and a snap element of its own scroll-container at once.
+  if (hasContainerDeclaration(declaration)) {
+    setUpContainer(el, declaration)
+  }
+  if (hasSnapElementDeclaration(declaration)) {
+    setUpSnapElement(el, declaration)
+  }
+}
+
+/**
+ * set up the snap element part of an element, and attach it to its scroll-container.
+ * @param {Object} el           HTML element
+ * @param {Object} declaration  translated CSS declarations
+ */
+export function setUpSnapElement (el, declaration) {
+  // save declaration, alignment and stop might be declared in different rules.
+  if (typeof declaration['scroll-snap-stop'] !== 'undefined') {
+    el.scrollSnapStop = parseScrollSnapStop(declaration)
+  }
+
+  if (hasBoxLengths(declaration, 'scroll-margin') || hasBoxLengths(declaration, 'scroll-snap-margin')) {
+    el.scrollMargin = parseScrollMargin(declaration, el.scrollMargin, getWritingMode(el))
+  }
+
+  if (typeof declaration['scroll-snap-align'] !== 'undefined') {
+    el.scrollSnapAlignment = parseScrollSnapAlignment(declaration)
+    attachToScrollParent(el)
+  }
+}
+
+/**
+ * set up the scroll-container part of an element.
+ * @param {Object} el           HTML element
+ * @param {Object} declaration  translated CSS declarations
+ */
+export function setUpContainer (el, declaration) {
+  // if the scroll snap attributes are applied on the body/html tag, use the doc for scroll events.
+  const matchedEl = el
+  el = getScrollContainer(el)
+
+  // the writing mode maps the logical axes and sides of the container
+  el.writingMode = getWritingMode(el)
+
+  // set up scroll padding, on top of the padding other rules declared for the element.
+  if (hasBoxLengths(declaration, 'scroll-padding')) {
+    el.scrollPadding = parseScrollPadding(declaration, el.scrollPadding, el.writingMode)
+  } else if (typeof el.scrollPadding === 'undefined') {
+    el.scrollPadding = parseScrollPadding({})
+  }
+
+  // remember the declared scroll-behavior for browsers that don't compute it.
+  if (typeof declaration['scroll-behavior'] !== 'undefined') {
+    el.scrollBehavior = declaration['scroll-behavior'].trim().toLowerCase()
+  }
+
+  // the snap points of the older spec repeat at an interval.
+  if (hasSnapPointsDeclaration(declaration)) {
+    el.scrollSnapPoints = parseScrollSnapPoints(declaration, el.scrollSnapPoints)
+    if (typeof el.snapElements !== 'undefined') {
+      updateSnapPoints(el)
+    }
+  }
+
+  // rules without scroll-snap-type only contribute the scroll padding, behavior and snap points.
+  if (typeof declaration['scroll-snap-type'] === 'undefined') {
+    return
+  }
+
+  // add the event listeners
+  el.addEventListener('scroll', handler, false)
+  el.addEventListener('keydown', keyHandler, false)
+  // wheel listeners on the document are passive by default, ours prevents scrolling by notches.
+  el.addEventListener('wheel', wheelHandler, getListenerOptions(false))
+  if (supportsScrollEnd()) {
+    el.addEventListener('scrollend', scrollEndHandler, false)
+  }
+  getGestureEvents().forEach((type) => {
+    el.addEventListener(type, gestureHandler, getListenerOptions(true))
+  })
+
+  // set up snap axis and strictness
+  el.scrollSnapType = parseScrollSnapType(declaration, el.writingMode)
+
+  // set up the animation and snap options, the matched element can override the polyfill options.
+  el.scrollSnapOptions = getContainerOptions(matchedEl)
+
+  // set up the scroll state, a container matched by several rules keeps its state.
+  if (typeof el.scrollSnapState === 'undefined') {
+    el.scrollSnapState = createScrollState()
+  }
+
+  // init possible elements, a container matched by several rules keeps its elements.
+  if (typeof el.snapElements === 'undefined') {
+    el.snapElements = []
+    containers.push(el)
+    attachSnapElements(el)
+    observeSnapElements(el)
+    observeLayout(el)
+    updateSnapPoints(el)
+  }
+}
+
+/**
+ * tear down an element. remove all added behaviour.
+ * @param  {Object} el          DomElement
+ * @param  {Object} declaration CSS declarations to tear down, all of them if omitted
+ */
+export function tearDownElement (el, declaration) {
+  declaration = declaration && translateLegacy(declaration)
+
+  // snap elements only have to forget the declared values and leave their scroll containers.
+  if (!declaration || hasSnapElementDeclaration(declaration)) {
+    tearDownSnapElement(el, declaration)
+  }
+  if (declaration ? hasContainerDeclaration(declaration) : typeof getScrollContainer(el).scrollPadding !== 'undefined') {
+    tearDownContainer(el, declaration)
+  }
+}
+
+/**
+ * tear down the snap element behaviour of an element
+ * @param  {Object} el          DomElement
+ * @param  {Object} declaration translated CSS declarations to tear down, all of them if omitted
+ */
+function tearDownSnapElement (el, declaration) {
+  if (!declaration || typeof declaration['scroll-snap-stop'] !== 'undefined') {
+    delete el.scrollSnapStop
+  }
+
+  if (!declaration || hasBoxLengths(declaration, 'scroll-margin') || hasBoxLengths(declaration, 'scroll-snap-margin')) {
+    delete el.scrollMargin
+  }
+
+  if (!declaration || typeof declaration['scroll-snap-align'] !== 'undefined') {
+    delete el.scrollSnapAlignment
+    detachFromScrollParent(el)
+  }
+}
+
+/**
+ * tear down the scroll-container behaviour of an element
+ * @param  {Object} el          DomElement
+ * @param  {Object} declaration translated CSS declarations to tear down, all of them if omitted
+ */
+function tearDownContainer (el, declaration) {
+  // if the scroll snap attributes are applied on the body/html tag, use the doc for scroll events.
+  el = getScrollContainer(el)
+
+  // rules without scroll-snap-type only contributed the scroll padding, behavior and snap points.
+  if (declaration && typeof declaration['scroll-snap-type'] === 'undefined') {
+    if (hasBoxLengths(declaration, 'scroll-padding')) {
+      el.scrollPadding = parseScrollPadding({})
+    }
+    if (typeof declaration['scroll-behavior'] !== 'undefined') {
+      delete el.scrollBehavior
+    }
+    if (hasSnapPointsDeclaration(declaration)) {
+      delete el.scrollSnapPoints
+      if (typeof el.snapElements !== 'undefined') {
+        updateSnapPoints(el)
+      }
+    }
+    return
+  }
+
+  el.removeEventListener('scroll', handler, false)
+  el.removeEventListener('keydown', keyHandler, false)
+  el.removeEventListener('wheel', wheelHandler, getListenerOptions(false))
+  el.removeEventListener('scrollend', scrollEndHandler, false)
+  getGestureEvents().forEach((type) => {
+    el.removeEventListener(type, gestureHandler, getListenerOptions(true))
+  })
+
+  if (el.scrollSnapState) {
+    clearTimeout(el.scrollSnapState.timeOutId)
+    cancelAnimation(el.scrollSnapState)
+    delete el.scrollSnapState
+  }
+
+  if (el.snapObserver) {
+    el.snapObserver.disconnect()
+    delete el.snapObserver
+  }
+
+  if (el.resizeObserver) {
+    el.resizeObserver.disconnect()
+    delete el.resizeObserver
+  }
+
+  removeOverlay(el)
+
+  el.scrollSnapType = null
+  delete el.scrollSnapOptions
+  delete el.writingMode
+  delete el.scrollPadding
+  delete el.scrollBehavior
+  delete el.scrollSnapPoints
+  delete el.snapElements
+  delete el.snapTarget
+
+  const index = containers.indexOf(el)
+  if (index !== -1) {
+    containers.splice(index, 1)
+  }
+}
+
+/**
+ * attach a child-element onto its scroll-container.
+ * like in the spec, a snap element only belongs to its nearest scroll-container ancestor,
+ * it doesn't snap at all when that one doesn't snap.
+ * @param  {Object} el
+ */
+function attachToScrollParent (el) {
+  const container = getScrollParent(el)
+
+  if (container === null || typeof container.snapElements === 'undefined' || container.snapElements.indexOf(el) !== -1) {
+    return
+  }
+
+  container.snapElements.push(el)
+  // keep the snap elements in document order, in scroll order among the snap points of the older spec
+  if (hasSnapPoints(container)) {
+    updateSnapPoints(container)
+  } else {
+    container.snapElements.sort(compareDocumentPosition)
+  }
+
+  if (container.resizeObserver) {
+    container.resizeObserver.observe(el)
+  }
+}
+
+/**
+ * attach the snap elements already in a new scroll-container,
+ * their rules might have been set up before the container, e.g. when its own rule came later.
+ * @param  {Object} el scroll-container
+ */
+function attachSnapElements (el) {
+  const root = el === document ? document.documentElement : el
+  const children = [].slice.call(root.children)
+  const descendants = [].slice.call(root.querySelectorAll('*'))
+
+  // set up the descendants matching a scroll-snap-align rule
+  children.forEach((child) => {
+    if (isOverlay(child)) {
+      return
+    }
+
+    snapRules.forEach((snapRule) => {
+      getAddedSnapElements(child, snapRule).forEach((snapElement) => {
+        setUpElement(snapElement, snapRule.declaration)
+      })
+    })
+  })
+
+  // attach the descendants set up already, e.g. by inline styles
+  descendants.forEach((node) => {
+    if (typeof node.scrollSnapAlignment !== 'undefined') {
+      attachToScrollParent(node)
+    }
+  })
+}
+
+/**
+ * sort callback for elements in document order
+ * @param  {Object} a
+ * @param  {Object} b
+ * @return {Number}
+ */
+function compareDocumentPosition (a, b) {
+  if (a === b) {
+    return 0
+  }
+  return a.compareDocumentPosition(b) & window.Node.DOCUMENT_POSITION_PRECEDING ? 1 : -1
+}
+
+/**
+ * observe a scroll-container for snap elements being added or removed
+ * @param  {Object} el scroll-container
+ */
+function observeSnapElements (el) {
+  // no automatic tracking without MutationObserver, refresh() still works.
+  if (typeof window.MutationObserver === 'undefined') {
+    return
+  }
+
+  el.snapObserver = new window.MutationObserver((mutations) => {
+    updateSnapElements(el, mutations)
+  })
+  el.snapObserver.observe(el === document ? document.documentElement : el, {
+    childList: true,
+    subtree: true
+  })
+}
+
+/**
+ * update the snap elements of a scroll-container after its subtree changed
+ * @param  {Object} el        scroll-container
+ * @param  {Array}  mutations MutationRecords
+ */
+function updateSnapElements (el, mutations) {
+  const root = el === document ? document.documentElement : el
+
+  // tear down the snap elements that left the container
+  el.snapElements.slice().forEach((snapElement) => {
+    if (!isSnapPoint(snapElement) && !root.contains(snapElement)) {
+      tearDownSnapElement(snapElement)
+    }
+  })
+
+  // the scroll size might have changed
+  if (hasSnapPoints(el)) {
+    updateSnapPoints(el)
+  }
+
+  // set up the added elements matching a scroll-snap-align rule, including their descendants
+  mutations.forEach((mutation) => {
+    [].forEach.call(mutation.addedNodes, (node) => {
+      if (node.nodeType !== window.Node.ELEMENT_NODE || !root.contains(node) || isOverlay(node)) {
+        return
+      }
+
+      snapRules.forEach((snapRule) => {
+        getAddedSnapElements(node, snapRule).forEach((child) => {
+          setUpElement(child, snapRule.declaration)
+        })
+      })
+    })
+  })
+}
+
+/**
+ * get an added element and its descendants a snap rule applies to
+ * @param  {Object} node     the added element
+ * @param  {Object} snapRule
+ * @return {Array}
+ */
+function getAddedSnapElements (node, snapRule) {
+  const { selectors, scope } = snapRule
+
+  // rules only apply inside their document, shadow root or container registered from code,
+  // rules registered without selectors to the children of the container.
+  if (scope === document ? !document.documentElement.contains(node) : scope && (scope === node || !scope.contains(node))) {
+    return []
+  }
+  if (selectors === null) {
+    return node.parentNode === scope ? [node] : []
+  }
+
+  return (matchesSelector(node, selectors) ? [node] : []).concat([].slice.call(node.querySelectorAll(selectors)))
+}
+
+/**
+ * check if an element matches a selector
+ * @param  {Object}  el
+ * @param  {String}  selectors
+ * @return {Boolean}
+ */
+function matchesSelector (el, selectors) {
+  const matches = el.matches || el.msMatchesSelector || el.webkitMatchesSelector
+  return matches.call(el, selectors)
+}
+
+/**
+ * detach a child-element from its scroll-containers
+ * @param  {Object} el
+ */
+function detachFromScrollParent (el) {
+  // iterate over the containers, the element might not be in the document anymore.
+  containers.forEach((container) => {
+    const index = container.snapElements.indexOf(el)
+    if (index !== -1) {
+      container.snapElements.splice(index, 1)
+
+      if (container.resizeObserver && !isSnapPoint(el)) {
+        container.resizeObserver.unobserve(el)
+      }
+    }
+  })
+}
+
+/**
+ * observe the size of a scroll-container and its snap elements, to snap again after their layout changed.
+ * without ResizeObserver, only resizing the window snaps again.
+ * @param  {Object} el scroll-container
+ */
+function observeLayout (el) {
+  if (typeof window.ResizeObserver === 'undefined') {
+    return
+  }
+
+  // observing reports the initial sizes, only later changes count.
+  const sizes = new window.Map()
+
+  el.resizeObserver = new window.ResizeObserver((entries) => {
+    let changed = false
+
+    entries.forEach(({ target, contentRect }) => {
+      const size = sizes.get(target)
+      if (size && (size.width !== contentRect.width || size.height !== contentRect.height)) {
+        changed = true
+      }
+      sizes.set(target, { width: contentRect.width, height: contentRect.height })
+    })
+
+    if (changed) {
+      resnap(el)
+    }
+  })
+  el.resizeObserver.observe(el === document ? document.documentElement : el)
+  el.snapElements.forEach((snapElement) => {
+    el.resizeObserver.observe(snapElement)
+  })
+}
+
+/**
+ * snap a scroll-container resting on a snap point to the same snap element again, e.g. after its layout changed.
+ * the scroll padding resolves against the new sizes.
+ * @param  {Object} obj the scroll container
+ */
+function resnap (obj) {
+  const state = obj.scrollSnapState
+
+  // the snap points of the older spec depend on the size of the container
+  if (hasSnapPoints(obj)) {
+    updateSnapPoints(obj)
+  }
+
+  // a container in the middle of a scroll snaps once the scroll is finished.
+  if (!state || state.snapPosition === null || state.gesture || !isSnapping(obj) || obj.snapElements.length === 0) {
+    return
+  }
+
+  snapToIndex(obj, Math.min(state.currentIteration, obj.snapElements.length - 1), null, true)
+}
+
+/**
+ * resize handler
+ * this is the callback for window resize and orientationchange events, all containers snap again.
+ */
+export function resizeHandler () {
+  containers.forEach(resnap)
+}
+
+/**
+ * the rules declaring scroll-snap-align, used to set up snap elements added later on.
+ * rules registered from code have the container as scope.
+ * @type {Array}
+ */
+export const snapRules = []
+
+/**
+ * whether the browser supports passive listeners, detected by getListenerOptions
+ * @type {Boolean}
+ */
+let passiveSupported = null
+
+/**
+ * get the options for listeners that never or sometimes prevent scrolling.
+ * browsers without passive listeners take the object as useCapture, so they get false.
+ * @param  {Boolean}        passive
+ * @return {Object|Boolean}
+ */
+function getListenerOptions (passive) {
+  if (passiveSupported === null) {
+    passiveSupported = false
+    try {
+      const detect = Object.defineProperty({}, 'passive', {
+        get () {
+          passiveSupported = true
+          return true
+        }
+      })
+      window.addEventListener('test', null, detect)
+      window.removeEventListener('test', null, detect)
+    } catch (e) {}
+  }
+  return passiveSupported ? { passive } : false
+}
+
+/**
+ * tear down all scroll-containers and their snap elements.
+ */
+export function tearDownAll () {
+  snapRules.length = 0
+  containers.slice().forEach((container) => {
+    container.snapElements.slice().forEach((el) => {
+      tearDownSnapElement(el)
+    })
+    tearDownContainer(container)
+  })
+}
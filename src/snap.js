@@ -0,0 +1,1109 @@
+import { drawOverlay, logDecision } from './debug'
+import { ALWAYS, AXES, HORIZONTAL_TB, NONE, PROXIMITY, PROXIMITY_RANGE, WHEEL_TIMEOUT } from './constants'
+import { getOptions, isInstant, reducedMotion } from './options'
+import {
+  getHeight, getScrollContainer, getScrollHeight, getScrollLeft, getScrollObj, getScrollPadding, getScrollWidth,
+  getSnapAlignment, getSnapArea, getSnapCoords, getSnapLength, getSnapPosition, getSnapportHeight, getSnapportRect,
+  getSnapportWidth, getWidth, isReversed, setScrollLeft, stayInBounds, stayInScrollBounds
+} from './geometry'
+import { isSnapPoint } from './points'
+
+const SNAP_CHANGING = 'scrollsnapchanging'
+const SNAP_CHANGE = 'scrollsnapchange'
+
+/**
+ * threshold for snapping from a projected momentum end point: the closest snap point wins.
+ * @type {Number}
+ */
+const NEAREST = 0.5
+
+/**
+ * all scroll-containers currently set up.
+ * @type {Array}
+ */
+export const containers = []
+
+/**
+ * create the scroll state of a scroll-container.
+ * every container keeps its own state, so that several containers can scroll and snap at the same time.
+ * @return {Object}
+ */
+export function createScrollState () {
+  return {
+    // the last created timeOutId for scroll event timeouts.
+    timeOutId: null,
+    // starting point for current scroll
+    scrollStart: null,
+    // the element scrolling is applied to during the current scroll
+    scrollObj: null,
+    // index of the snap element the container is snapped to
+    currentIteration: 0,
+    // a current animation frame
+    animationFrame: null,
+    // the touch or pointer gesture in progress, it keeps the samples the release velocity is measured from
+    gesture: null,
+    // where momentum scrolling is predicted to end after the last gesture
+    projection: null,
+    // time and magnitude of the last continuous wheel event, while trackpad inertia might go on
+    wheel: null,
+    // time, delta and kind of the last wheel event, telling mouse wheels and trackpads apart
+    lastWheel: null,
+    // the scroll position of the last snap, as long as the container rests there
+    snapPosition: null
+  }
+}
+
+/**
+ * stop the snap animation of a scroll-container.
+ * @param  {Object} state the scroll state of the container
+ */
+export function cancelAnimation (state) {
+  if (state.animationFrame) {
+    // cross browser
+    if (!cancelAnimationFrame(state.animationFrame)) {
+      clearTimeout(state.animationFrame)
+    }
+    state.animationFrame = null
+  }
+}
+
+/**
+ * scroll handler
+ * this is the callback for scroll events.
+ */
+export let handler = function (evt) {
+  // use evt.currentTarget as container, this is the document for html/body containers.
+  const obj = evt.currentTarget
+
+  // containers with `scroll-snap-type: none` scroll freely.
+  if (!isSnapping(obj)) {
+    return
+  }
+
+  const state = obj.scrollSnapState
+  state.scrollObj = getScrollObj(obj)
+  updateOverlay(obj)
+
+  // if currently animating, stop it. this prevents flickering.
+  cancelAnimation(state)
+
+  // the container left the snap point, sub-pixel differences don't count as a move.
+  const snapPosition = state.snapPosition
+  if (snapPosition && (Math.abs(snapPosition.y - state.scrollObj.scrollTop) >= 1 ||
+      Math.abs(snapPosition.x - getScrollLeft(state.scrollObj)) >= 1)) {
+    state.snapPosition = null
+  }
+
+  // if a previous timeout exists, clear it.
+  if (state.timeOutId) {
+    // we only want to call a timeout once after scrolling..
+    clearTimeout(state.timeOutId)
+  }
+
+  // save new scroll start, the snap after the previous scroll sets it otherwise.
+  if (state.scrollStart === null) {
+    state.scrollStart = {
+      y: state.scrollObj.scrollTop,
+      x: getScrollLeft(state.scrollObj)
+    }
+  }
+
+  // the native scrollend event tells when scrolling, including momentum, is finished.
+  if (supportsScrollEnd()) {
+    return
+  }
+
+  /* set a timeout for every scroll event.
+   * if we have new scroll events in that time, the previous timeouts are cleared.
+   * thus we can be sure that the timeout will be called 50ms after the last scroll event.
+   * this means a huge improvement in speed, as we just assign a timeout in the scroll event, which will be called only once (after scrolling is finished)
+   */
+  state.timeOutId = setTimeout(function () {
+    handlerDelayed(obj)
+  }, obj.scrollSnapOptions.scrollTimeout)
+}
+
+/**
+ * check whether a container snaps on any axis.
+ * @param  {Object}  obj
+ * @return {Boolean}
+ */
+export function isSnapping (obj) {
+  const snapType = obj.scrollSnapType
+  return !!snapType && (snapType.x || snapType.y)
+}
+
+/**
+ * a delayed handler for scrolling.
+ * this will be called by setTimeout once, after scrolling is finished.
+ * @param  {Object} obj the scroll container
+ */
+let handlerDelayed = function (obj) {
+  const state = obj.scrollSnapState
+
+  // the container might have been torn down in the meantime.
+  if (!state || typeof obj.snapElements === 'undefined') {
+    return
+  }
+
+  // the finger is still down, the snap is decided once it is lifted.
+  if (state.gesture || state.scrollStart === null) {
+    return
+  }
+
+  // trackpad inertia goes on, the gaps between its events can be longer than the scroll timeout.
+  const wheelAge = state.wheel ? Date.now() - state.wheel.time : Infinity
+  if (wheelAge < WHEEL_TIMEOUT) {
+    scheduleSnap(obj, state, WHEEL_TIMEOUT - wheelAge)
+    return
+  }
+  state.wheel = null
+
+  const { scrollStart, scrollObj, projection } = state
+  state.projection = null
+
+  // if we don't move a thing, we can ignore the timeout: if we did, there'd be another timeout added for scrollStart+1.
+  if (scrollStart.y === scrollObj.scrollTop && scrollStart.x === getScrollLeft(scrollObj)) {
+    // ignore timeout
+    return
+  }
+
+  // after a flick, the snap point is chosen from where momentum scrolling would end.
+  const position = projection || { y: scrollObj.scrollTop, x: getScrollLeft(scrollObj) }
+
+  // detect direction of scroll. negative is up, positive is down.
+  let direction = {
+    y: (scrollStart.y - position.y > 0) ? -1 : 1,
+    x: (scrollStart.x - position.x > 0) ? -1 : 1
+  }
+
+  // without snap elements there is nothing to snap to.
+  if (obj.snapElements.length === 0) {
+    return
+  }
+
+  const threshold = projection ? NEAREST : obj.scrollSnapOptions.threshold
+  const previousIteration = state.currentIteration
+  // snap areas larger than the snapport scroll freely and only snap at their edges.
+  // containers snapping on both axes, like a grid of tiles, choose the snap position on each axis.
+  const oversizedSnapPoint = getOversizedSnapPoint(scrollObj, obj, direction, position)
+  const nextSnapPoint = oversizedSnapPoint ||
+    (obj.scrollSnapType.x && obj.scrollSnapType.y
+      ? getNextGridSnapPoint(scrollObj, obj, direction, position, threshold)
+      : getNextElementSnapPoint(scrollObj, obj, direction, position, threshold))
+  const snapPoint = constrainSnapPoint(scrollObj, obj.scrollSnapType, nextSnapPoint)
+
+  if (isDebugging(obj)) {
+    logDecision(obj, {
+      scrollStart,
+      position,
+      projection,
+      direction,
+      threshold,
+      snapType: obj.scrollSnapType,
+      scrollPadding: getScrollPadding(obj, scrollObj),
+      strategy: oversizedSnapPoint ? 'oversized' : (obj.scrollSnapType.x && obj.scrollSnapType.y ? 'grid' : 'element'),
+      previousIndex: previousIteration,
+      index: state.currentIteration,
+      target: obj.snapElements[state.currentIteration] || null,
+      computedSnapPoint: nextSnapPoint,
+      snapPoint
+    })
+    updateOverlay(obj)
+  }
+
+  // proximity snapping leaves the scroll position alone when no snap point is near, so do snap areas larger than the snapport.
+  if (isNaN(snapPoint.x) && isNaN(snapPoint.y)) {
+    state.scrollStart = {
+      y: scrollObj.scrollTop,
+      x: getScrollLeft(scrollObj)
+    }
+    return
+  }
+
+  // smoothly move to the snap point
+  snapTo(obj, scrollObj, snapPoint, state.currentIteration, direction)
+
+  // we just jumped to the snapPoint, so this will be our next scrollStart
+  // an axis that doesn't snap stays where it is.
+  if (!isNaN(snapPoint.x) || !isNaN(snapPoint.y)) {
+    state.scrollStart = {
+      y: isNaN(snapPoint.y) ? scrollObj.scrollTop : snapPoint.y,
+      x: isNaN(snapPoint.x) ? getScrollLeft(scrollObj) : snapPoint.x
+    }
+  }
+}
+
+/**
+ * decide upon the snap after a delay.
+ * @param  {Object} obj   the scroll container
+ * @param  {Object} state the scroll state of the container
+ * @param  {Number} delay in ms, the scroll timeout if omitted
+ */
+export function scheduleSnap (obj, state, delay) {
+  clearTimeout(state.timeOutId)
+  state.timeOutId = setTimeout(function () {
+    handlerDelayed(obj)
+  }, typeof delay === 'number' ? delay : obj.scrollSnapOptions.scrollTimeout)
+}
+
+/**
+ * stop a snap animation in progress, because the user scrolls again.
+ * @param  {Object}  obj   the scroll container
+ * @param  {Object}  state the scroll state of the container
+ * @return {Boolean}       whether a snap animation was stopped
+ */
+export function interruptSnap (obj, state) {
+  if (!state.animationFrame) {
+    return false
+  }
+
+  cancelAnimation(state)
+  // snapTo unbound the scroll handler for the animation
+  obj.addEventListener('scroll', handler, false)
+  return true
+}
+
+/**
+ * check whether the browser fires scrollend events
+ * @return {Boolean}
+ */
+export function supportsScrollEnd () {
+  return 'onscrollend' in window
+}
+
+/**
+ * scrollend handler
+ * browsers firing scrollend tell when scrolling is finished, instead of the scroll timeout.
+ */
+export function scrollEndHandler (evt) {
+  const obj = evt.currentTarget
+  const state = obj.scrollSnapState
+
+  // the snap animation ends scrolls of its own.
+  if (!state || state.animationFrame || !isSnapping(obj)) {
+    return
+  }
+
+  clearTimeout(state.timeOutId)
+  handlerDelayed(obj)
+}
+
+/**
+ * get the snap element a wheel notch or a key moves a container to, one snap point in a direction on one axis.
+ * @param  {Object} obj  the scroll container
+ * @param  {String} axis x or y
+ * @param  {Number} step 1 for the next, -1 for the previous snap point
+ * @return {Number}      index of the snap element, -1 if there is none in that direction,
+ *                       null if the container should scroll as usual
+ */
+export function getStepIndex (obj, axis, step) {
+  const state = obj.scrollSnapState
+  const scrollObj = getScrollObj(obj)
+
+  // while moving, keep going from the snap point we are moving to
+  if (state.animationFrame) {
+    return Math.max(0, Math.min(obj.snapElements.length - 1, state.currentIteration + step))
+  }
+
+  // inside a snap area larger than the snapport the container scrolls as usual, until its edge is reached.
+  if (canScrollInside(obj, scrollObj, axis, step)) {
+    return null
+  }
+
+  return getAdjacentSnapIndex(obj, scrollObj, axis, step)
+}
+
+/**
+ * find the snap element whose snap point is closest to the scroll position in a direction on one axis.
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {String} axis      x or y
+ * @param  {Number} step      1 for the next, -1 for the previous snap point
+ * @return {Number}           index of the snap element, -1 if there is none in that direction
+ */
+function getAdjacentSnapIndex (obj, scrollObj, axis, step) {
+  const current = axis === 'x' ? getScrollLeft(scrollObj) : scrollObj.scrollTop
+  const max = axis === 'x'
+    ? getScrollWidth(scrollObj) - getSnapportWidth(scrollObj)
+    : getScrollHeight(scrollObj) - getSnapportHeight(scrollObj)
+  const direction = { y: step, x: step }
+  let index = -1
+  let distance = Infinity
+
+  obj.snapElements.forEach((snapElement, i) => {
+    // snap points beyond the end of the container can't be reached
+    const snapPoint = Math.min(getSnapPosition(scrollObj, obj, i, direction)[axis], max)
+    // ignore the snap point we are at, sub-pixel positions don't count as a move
+    const delta = (snapPoint - current) * step
+
+    if (delta >= 1 && delta < distance) {
+      index = i
+      distance = delta
+    }
+  })
+
+  return index
+}
+
+/**
+ * check whether an element between the event target and the scroll container can scroll on an axis itself.
+ * @param  {Object}  el   the event target
+ * @param  {Object}  obj  the scroll container
+ * @param  {String}  axis x or y
+ * @return {Boolean}
+ */
+export function isInNestedScroller (el, obj, axis) {
+  const root = obj === document ? document.documentElement : obj
+
+  for (; el && el !== root && el !== document.body && el.nodeType === window.Node.ELEMENT_NODE; el = el.parentNode) {
+    const style = window.getComputedStyle(el)
+    const overflow = axis === 'x' ? style.overflowX : style.overflowY
+    const scrollable = axis === 'x' ? el.scrollWidth > el.clientWidth : el.scrollHeight > el.clientHeight
+
+    if ((overflow === 'auto' || overflow === 'scroll') && scrollable) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * smoothly move a container to the snap point of one of its snap elements.
+ * fires scrollsnapchanging before and scrollsnapchange after moving, when the snap target changes.
+ * @param  {Object}   obj       the scroll container
+ * @param  {Object}   scrollObj the element scrolling is applied to
+ * @param  {Object}   snapPoint where to scroll to
+ * @param  {Number}   index     index of the snap element
+ * @param  {Object}   direction
+ * @param  {Function} callback  called when the container is snapped
+ * @param  {Boolean}  instant   jump to the snap point instead of animating
+ */
+function snapTo (obj, scrollObj, snapPoint, index, direction, callback, instant) {
+  const snapTarget = obj.snapElements[index]
+  const changed = snapTarget !== obj.snapTarget
+
+  if (changed) {
+    dispatchSnapEvent(obj, SNAP_CHANGING, index, direction)
+  }
+
+  // before doing the move, unbind the event handler (otherwise it calls itself kinda)
+  obj.removeEventListener('scroll', handler, false)
+
+  smoothScroll(scrollObj, snapPoint, function (end) {
+    // after moving to the snap point, rebind the scroll event handler
+    obj.addEventListener('scroll', handler, false)
+    updateOverlay(obj)
+
+    // the container rests on the snap point until it scrolls again
+    if (obj.scrollSnapState) {
+      obj.scrollSnapState.snapPosition = {
+        y: scrollObj.scrollTop,
+        x: getScrollLeft(scrollObj)
+      }
+    }
+
+    if (changed) {
+      obj.snapTarget = snapTarget
+      dispatchSnapEvent(obj, SNAP_CHANGE, index, direction)
+    }
+
+    if (typeof callback === 'function') {
+      callback(end)
+    }
+  }, obj.scrollSnapState, instant)
+}
+
+/**
+ * dispatch a snap event on a scroll container.
+ * the detail carries the snap targets like the proposed native SnapEvent does.
+ * @param  {Object} obj       the scroll container
+ * @param  {String} type      scrollsnapchanging or scrollsnapchange
+ * @param  {Number} index     index of the snap element
+ * @param  {Object} direction
+ */
+function dispatchSnapEvent (obj, type, index, direction) {
+  const snapElement = obj.snapElements[index] && !isSnapPoint(obj.snapElements[index]) ? obj.snapElements[index] : null
+  // the block axis is the x axis in vertical writing modes
+  const vertical = (obj.writingMode || HORIZONTAL_TB).vertical
+  const snapType = obj.scrollSnapType
+  const detail = {
+    snapTargetBlock: (vertical ? snapType.x : snapType.y) ? snapElement : null,
+    snapTargetInline: (vertical ? snapType.y : snapType.x) ? snapElement : null,
+    index,
+    direction
+  }
+  let evt
+
+  if (typeof window.CustomEvent === 'function') {
+    evt = new window.CustomEvent(type, { detail })
+  } else {
+    // IE has no CustomEvent constructor
+    evt = document.createEvent('CustomEvent')
+    evt.initCustomEvent(type, false, false, detail)
+  }
+
+  obj.dispatchEvent(evt)
+}
+
+function getNextElementSnapPoint (scrollObj, obj, direction, position, threshold) {
+  const snapType = obj.scrollSnapType
+  const state = obj.scrollSnapState
+  const l = obj.snapElements.length
+  const top = position.y
+  const left = position.x
+  // decide upon an iteration direction (favor -1, as 1 is default and will be applied when there is no direction on an axis)
+  // only the axes the container snaps on are taken into account.
+  const primaryDirection = Math.min(snapType.y ? direction.y : 1, snapType.x ? direction.x : 1)
+  let snapCoords = { y: 0, x: 0 }
+
+  // snap elements might have been removed since the last snap
+  state.currentIteration = Math.min(state.currentIteration, l - 1)
+
+  const padding = getScrollPadding(obj, scrollObj)
+
+  // handle use-case where scrolling to end, unless that would pass a snap element with scroll-snap-stop: always.
+  // sub-pixel scroll positions count as the end.
+  if (((snapType.x && left > 0 && left >= getScrollWidth(scrollObj) - getSnapportWidth(scrollObj) - 1) ||
+    (snapType.y && top > 0 && top >= getScrollHeight(scrollObj) - getSnapportHeight(scrollObj) - 1)) &&
+    !passesSnapStop(obj.snapElements, state.currentIteration, l - 1)) {
+    state.currentIteration = l - 1
+    const lastSnapElement = obj.snapElements[state.currentIteration]
+    const lastSnapCoords = getSnapCoords(scrollObj, lastSnapElement, direction, padding)
+    lastSnapElement.snapCoords = lastSnapCoords
+    // the for loop stopped at the last element
+    return stayInScrollBounds(scrollObj, lastSnapCoords)
+  }
+
+  const currentSnapElement = obj.snapElements[state.currentIteration]
+  const currentSnapCoords = getSnapCoords(scrollObj, currentSnapElement, direction, padding)
+  currentSnapElement.snapCoords = currentSnapCoords
+  const xThreshold = currentSnapCoords.x + (direction.x * getWidth(currentSnapElement) * threshold)
+  const yThreshold = currentSnapCoords.y + (direction.y * getHeight(currentSnapElement) * threshold)
+
+  let i
+  for (i = state.currentIteration + primaryDirection; i < l && i >= 0; i = i + primaryDirection) {
+    const currentIteratedObj = obj.snapElements[i]
+
+    // get objects snap coords by adding obj.top + obj.snaplength.y
+    snapCoords = getSnapCoords(scrollObj, currentIteratedObj, direction, padding)
+
+    currentIteratedObj.snapCoords = snapCoords
+    // check if object snappoint is "close" enough to scrollable snappoint
+
+    // check if not beyond scroll threshold
+    if ((!snapType.x || (direction.x === 1 ? left < xThreshold : left > xThreshold)) &&
+      (!snapType.y || (direction.y === 1 ? top < yThreshold : top > yThreshold))) {
+      break
+    }
+
+    const elementXThreshold = snapCoords.x + (direction.x * getWidth(currentIteratedObj) * threshold)
+    const elementYThreshold = snapCoords.y + (direction.y * getHeight(currentIteratedObj) * threshold)
+
+    // check if not scrolled past element snap point, an element with scroll-snap-stop: always can't be passed.
+    if (((snapType.x && (direction.x === 1 ? left > elementXThreshold : left < elementXThreshold)) ||
+      (snapType.y && (direction.y === 1 ? top > elementYThreshold : top < elementYThreshold))) &&
+      currentIteratedObj.scrollSnapStop !== ALWAYS) {
+      continue
+    }
+
+    // ok, we found a snap point.
+    state.currentIteration = i
+    // stay in bounds (minimum: 0, maxmimum: the end of the scrollable area)
+    return stayInScrollBounds(scrollObj, snapCoords)
+  }
+  // no snap found, use first or last?
+  if (primaryDirection === 1 && i === l - 1) {
+    state.currentIteration = l - 1
+    // the for loop stopped at the last element
+    return stayInScrollBounds(scrollObj, snapCoords)
+  } else if (primaryDirection === -1 && i === 0) {
+    state.currentIteration = 0
+    // the for loop stopped at the first element
+    return stayInScrollBounds(scrollObj, snapCoords)
+  }
+  // stay in the same place
+  return stayInScrollBounds(scrollObj, obj.snapElements[state.currentIteration].snapCoords)
+}
+
+/**
+ * find the snap point when a snap area larger than the snapport is visible.
+ * inside such an area the container scrolls freely, the axis is left alone.
+ * once one of its edges shows the neighbouring area partially, the container snaps to the closest of its edges
+ * and the snap points of the other snap elements.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} direction
+ * @param  {Object} position  the scroll position to snap from
+ * @return {Object}           null if no such snap area is visible
+ */
+function getOversizedSnapPoint (scrollObj, obj, direction, position) {
+  const state = obj.scrollSnapState
+  const snapPoint = { y: NaN, x: NaN }
+  let found = false
+
+  AXES.forEach((axis) => {
+    const area = obj.scrollSnapType[axis] ? getOversizedArea(obj, scrollObj, axis, position) : null
+    if (area === null) {
+      return
+    }
+
+    found = true
+    state.currentIteration = area.index
+
+    if (position[axis] >= area.start && position[axis] <= area.end) {
+      return
+    }
+
+    const candidates = obj.snapElements.map((snapElement, i) => ({
+      index: i,
+      position: getSnapPosition(scrollObj, obj, i, direction)[axis]
+    })).concat([
+      { index: area.index, position: area.start },
+      { index: area.index, position: area.end }
+    ])
+    const closest = candidates.reduce((closest, candidate) =>
+      Math.abs(candidate.position - position[axis]) < Math.abs(closest.position - position[axis]) ? candidate : closest)
+
+    state.currentIteration = closest.index
+    snapPoint[axis] = closest.position
+  })
+
+  return found ? snapPoint : null
+}
+
+/**
+ * find a snap area larger than the snapport on an axis that is visible at a scroll position.
+ * areas the scroll position lies inside of are preferred over areas only partially visible.
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {String} axis      x or y
+ * @param  {Object} position  the scroll position
+ * @return {Object}           index of the snap element, and the scroll positions aligning the snapport
+ *                            with its start and end edge. null if there is no such area
+ */
+function getOversizedArea (obj, scrollObj, axis, position) {
+  const padding = getScrollPadding(obj, scrollObj)
+  const startSide = axis === 'y' ? 'top' : 'left'
+  const endSide = axis === 'y' ? 'bottom' : 'right'
+  const size = axis === 'y' ? 'height' : 'width'
+  const snapportSize = axis === 'y' ? getSnapportHeight(scrollObj) : getSnapportWidth(scrollObj)
+  const max = axis === 'y'
+    ? getScrollHeight(scrollObj) - snapportSize
+    : getScrollWidth(scrollObj) - snapportSize
+  let result = null
+
+  obj.snapElements.forEach((snapElement, i) => {
+    const area = getSnapArea(snapElement, scrollObj)
+    const start = area[startSide]
+    const visible = start < position[axis] + snapportSize && start + area[size] > position[axis]
+
+    // the scroll padding makes the snapport smaller
+    if (!visible || area[size] <= snapportSize - padding[startSide] - padding[endSide]) {
+      return
+    }
+
+    const oversized = {
+      index: i,
+      start: stayInBounds(0, max, start - padding[startSide]),
+      end: stayInBounds(0, max, start + area[size] - snapportSize + padding[endSide])
+    }
+    const inside = position[axis] >= oversized.start && position[axis] <= oversized.end
+
+    if (result === null || inside) {
+      result = oversized
+    }
+  })
+
+  return result
+}
+
+/**
+ * check whether a container can scroll further inside a snap area larger than the snapport before reaching its edge.
+ * @param  {Object}  obj       the scroll container
+ * @param  {Object}  scrollObj the element scrolling is applied to
+ * @param  {String}  axis      x or y
+ * @param  {Number}  step      1 towards the end, -1 towards the start
+ * @return {Boolean}
+ */
+function canScrollInside (obj, scrollObj, axis, step) {
+  const position = { y: scrollObj.scrollTop, x: getScrollLeft(scrollObj) }
+  const area = getOversizedArea(obj, scrollObj, axis, position)
+
+  if (area === null) {
+    return false
+  }
+
+  return step > 0 ? position[axis] < area.end - 1 : position[axis] > area.start + 1
+}
+
+/**
+ * find the snap point of a container snapping on both axes.
+ * the best snap position is chosen on each axis separately. a snap element snapping at both positions is the target,
+ * otherwise one snapping at either position that is visible at the combination of both, otherwise the snap element
+ * whose own snap point is closest. snap elements with scroll-snap-stop: always on the way stop the scroll.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} obj       the scroll container
+ * @param  {Object} direction
+ * @param  {Object} position  the scroll position to snap from
+ * @param  {Number} threshold fraction of the current snap area to scroll past before moving on
+ * @return {Object}
+ */
+function getNextGridSnapPoint (scrollObj, obj, direction, position, threshold) {
+  const state = obj.scrollSnapState
+  const start = state.scrollStart
+  const max = {
+    y: getScrollHeight(scrollObj) - getSnapportHeight(scrollObj),
+    x: getScrollWidth(scrollObj) - getSnapportWidth(scrollObj)
+  }
+
+  // snap points beyond the end of the container can't be reached
+  const snapPoints = obj.snapElements.map((snapElement, i) => {
+    const snapPoint = getSnapPosition(scrollObj, obj, i, direction)
+    return {
+      y: Math.min(snapPoint.y, max.y),
+      x: Math.min(snapPoint.x, max.x)
+    }
+  })
+
+  // scrolling past the threshold of the current snap area moves on, like on a single axis.
+  state.currentIteration = Math.min(state.currentIteration, snapPoints.length - 1)
+  const currentArea = getSnapArea(obj.snapElements[state.currentIteration], scrollObj)
+  const target = {
+    y: position.y === start.y ? position.y : position.y + direction.y * (NEAREST - threshold) * currentArea.height,
+    x: position.x === start.x ? position.x : position.x + direction.x * (NEAREST - threshold) * currentArea.width
+  }
+  const best = {
+    y: getClosest(snapPoints.map((snapPoint) => snapPoint.y), target.y),
+    x: getClosest(snapPoints.map((snapPoint) => snapPoint.x), target.x)
+  }
+  const matches = (snapPoint, axis) => Math.abs(snapPoint[axis] - best[axis]) < 1
+
+  // rank the snap elements: snapping at both best positions, at one of them while visible at both, or neither.
+  const getRank = (candidate, i) => {
+    if (matches(candidate, 'y') && matches(candidate, 'x')) {
+      return 0
+    }
+    if ((matches(candidate, 'y') || matches(candidate, 'x')) && isVisibleAt(obj.snapElements[i], scrollObj, best)) {
+      return 1
+    }
+    return 2
+  }
+
+  let index = -1
+  let rank = 2
+  let distance = Infinity
+  let snapPoint = best
+
+  snapPoints.forEach((candidate, i) => {
+    const candidateRank = getRank(candidate, i)
+    const candidateDistance = getDistance(candidate, target)
+
+    if (candidateRank < rank || (candidateRank === rank && candidateDistance < distance)) {
+      index = i
+      rank = candidateRank
+      distance = candidateDistance
+    }
+  })
+
+  // no snap element is reachable at the best positions, take the one whose snap point is closest.
+  if (rank === 2) {
+    snapPoint = snapPoints[index]
+  }
+
+  // a snap element with scroll-snap-stop: always between the start and the target can't be passed.
+  let stopDistance = Infinity
+  snapPoints.forEach((candidate, i) => {
+    const stopAt = obj.snapElements[i].scrollSnapStop === ALWAYS &&
+      isBetween(start.y, snapPoint.y, candidate.y) && isBetween(start.x, snapPoint.x, candidate.x) &&
+      getDistance(candidate, start) >= 1 && getDistance(candidate, start) < stopDistance
+
+    if (stopAt) {
+      index = i
+      snapPoint = candidate
+      stopDistance = getDistance(candidate, start)
+    }
+  })
+
+  state.currentIteration = index
+  return { y: snapPoint.y, x: snapPoint.x }
+}
+
+/**
+ * get the value closest to a target
+ * @param  {Array}  values
+ * @param  {Number} target
+ * @return {Number}
+ */
+function getClosest (values, target) {
+  return values.reduce((closest, value) => Math.abs(value - target) < Math.abs(closest - target) ? value : closest)
+}
+
+/**
+ * get the distance between two scroll positions
+ * @param  {Object} a
+ * @param  {Object} b
+ * @return {Number}
+ */
+function getDistance (a, b) {
+  return Math.sqrt(Math.pow(a.y - b.y, 2) + Math.pow(a.x - b.x, 2))
+}
+
+/**
+ * check whether a value lies between two others, both included
+ * @param  {Number}  from
+ * @param  {Number}  to
+ * @param  {Number}  value
+ * @return {Boolean}
+ */
+function isBetween (from, to, value) {
+  return value >= Math.min(from, to) && value <= Math.max(from, to)
+}
+
+/**
+ * check whether a snap element is visible in the snapport at a scroll position.
+ * @param  {Object}  snapElement
+ * @param  {Object}  scrollObj   the element scrolling is applied to
+ * @param  {Object}  position    the scroll position
+ * @return {Boolean}
+ */
+function isVisibleAt (snapElement, scrollObj, position) {
+  const area = getSnapArea(snapElement, scrollObj)
+  return area.top < position.y + getSnapportHeight(scrollObj) && area.top + area.height > position.y &&
+    area.left < position.x + getSnapportWidth(scrollObj) && area.left + area.width > position.x
+}
+
+/**
+ * check whether moving between two snap elements passes one with scroll-snap-stop: always.
+ * @param  {Array}   snapElements
+ * @param  {Number}  from         index of the snap element the move starts at
+ * @param  {Number}  to           index of the snap element the move ends at
+ * @return {Boolean}
+ */
+function passesSnapStop (snapElements, from, to) {
+  if (from === to) {
+    return false
+  }
+
+  const step = from < to ? 1 : -1
+  for (let i = from + step; i !== to; i = i + step) {
+    if (snapElements[i].scrollSnapStop === ALWAYS) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * restrict a snap point to the axes a container snaps on.
+ * with proximity strictness an axis is left alone when its snap point is out of range.
+ * @param  {Object} scrollObj the element scrolling is applied to
+ * @param  {Object} snapType  the parsed scroll-snap-type
+ * @param  {Object} snapPoint
+ * @return {Object}
+ */
+function constrainSnapPoint (scrollObj, snapType, snapPoint) {
+  let x = snapType.x ? snapPoint.x : NaN
+  let y = snapType.y ? snapPoint.y : NaN
+
+  if (snapType.strictness === PROXIMITY) {
+    if (Math.abs(x - getScrollLeft(scrollObj)) > getSnapportWidth(scrollObj) * PROXIMITY_RANGE) {
+      x = NaN
+    }
+    if (Math.abs(y - scrollObj.scrollTop) > getSnapportHeight(scrollObj) * PROXIMITY_RANGE) {
+      y = NaN
+    }
+  }
+
+  return { y, x }
+}
+
+/**
+ * calc the duration of the animation proportional to the distance travelled
+ * @param  {Number}          start
+ * @param  {Number}          end
+ * @param  {Number|Function} scrollTime the duration option
+ * @return {Number}                     scroll time in ms
+ */
+function getDuration (start, end, scrollTime) {
+  const distance = Math.abs(start - end)
+
+  if (isNaN(distance)) {
+    return 0
+  }
+
+  if (typeof scrollTime === 'function') {
+    return Math.max(0, scrollTime(distance)) || 0
+  }
+
+  const procDist = 100 / Math.max(document.documentElement.clientHeight, window.innerHeight || 1) * distance
+  const duration = 100 / scrollTime * procDist
+
+  if (isNaN(duration)) {
+    return 0
+  }
+
+  return Math.max(scrollTime / 1.5, Math.min(duration, scrollTime))
+}
+
+/**
+ * calculate the scroll position we should be in
+ * @param  {Number}   start    the start point of the scroll
+ * @param  {Number}   end      the end point of the scroll
+ * @param  {Number}   elapsed  the time elapsed from the beginning of the scroll
+ * @param  {Number}   duration the total duration of the scroll (default 500ms)
+ * @param  {Function} easing   the easing function
+ * @return {Number}            the next position
+ */
+const position = function (start, end, elapsed, duration, easing) {
+  if (elapsed >= duration) {
+    return end
+  }
+  return start + (end - start) * easing(elapsed / duration)
+}
+
+/**
+ * smoothScroll function by Alice Lietieur.
+ * @see https://github.com/alicelieutier/smoothScroll
+ * we use requestAnimationFrame to be called by the browser before every repaint
+ * @param  {Object}   obj      the scroll context
+ * @param  {Number}  end      where to scroll to
+ * @param  {Function} callback called when the scrolling is finished
+ * @param  {Object}   state    the scroll state keeping the current animation frame
+ * @param  {Boolean}  instant  jump to the end, whatever the behavior option says
+ */
+const smoothScroll = function (obj, end, callback, state, instant) {
+  const start = { y: obj.scrollTop, x: getScrollLeft(obj) }
+
+  const clock = Date.now()
+
+  // get animation frame or a fallback
+  const requestAnimationFrame = window.requestAnimationFrame ||
+                            window.mozRequestAnimationFrame ||
+                            window.webkitRequestAnimationFrame ||
+                            function (fn) { return window.setTimeout(fn, 15) }
+  const { duration: scrollTime, easing } = getOptions(obj)
+  // an instant snap is an animation that is over right away
+  const duration = instant || isInstant(obj) ? 0
+    : Math.max(getDuration(start.y, end.y, scrollTime), getDuration(start.x, end.x, scrollTime))
+
+  // setup the stepping function
+  const step = function () {
+    // calculate timings, a running animation ends once reduced motion gets preferred.
+    const elapsed = reducedMotion ? Infinity : Date.now() - clock
+
+    // change position on y-axis if result is a number.
+    if (!isNaN(end.y)) {
+      obj.scrollTop = position(start.y, end.y, elapsed, duration, easing)
+    }
+
+    // change position on x-axis if result is a number.
+    if (!isNaN(end.x)) {
+      setScrollLeft(obj, position(start.x, end.x, elapsed, duration, easing))
+    }
+
+    // check if we are over due
+    if (elapsed >= duration) {
+      if (state) {
+        state.animationFrame = null
+      }
+
+      // is there a callback?
+      if (typeof callback === 'function') {
+        // stop execution and run the callback
+        return callback(end)
+      }
+
+      // stop execution
+      return
+    }
+
+    // use a new animation frame
+    const animationFrame = requestAnimationFrame(step)
+    if (state) {
+      state.animationFrame = animationFrame
+    }
+  }
+
+  // start the first step
+  step()
+}
+
+/**
+ * snap a scroll-container to one of its snap elements.
+ * @param  {Object}        container      the scroll-container, or the html/body element
+ * @param  {Number|Object} indexOrElement index of the snap element or the element itself
+ * @param  {Function}      callback       called when the container is snapped
+ */
+export function scrollToSnap (container, indexOrElement, callback) {
+  const obj = getScrollContainer(container)
+  if (typeof obj.snapElements === 'undefined') {
+    return
+  }
+
+  const index = typeof indexOrElement === 'number' ? indexOrElement : obj.snapElements.indexOf(indexOrElement)
+  if (index < 0 || index >= obj.snapElements.length) {
+    return
+  }
+
+  snapToIndex(obj, index, null, false, callback)
+}
+
+/**
+ * snap a scroll-container to one of its snap elements, the current snap and pending ones are given up.
+ * @param  {Object}   obj      the scroll container
+ * @param  {Number}   index    index of the snap element
+ * @param  {Object}   position where the axes the container doesn't snap on go, they stay if omitted
+ * @param  {Boolean}  instant  jump to the snap point instead of animating
+ * @param  {Function} callback called when the container is snapped
+ */
+export function snapToIndex (obj, index, position, instant, callback) {
+  const state = obj.scrollSnapState
+
+  // a pending or running snap of this container would fight the new one.
+  clearTimeout(state.timeOutId)
+  state.timeOutId = null
+  cancelAnimation(state)
+
+  const scrollObj = getScrollObj(obj)
+  const direction = {
+    y: index < state.currentIteration ? -1 : 1,
+    x: index < state.currentIteration ? -1 : 1
+  }
+  const snapPoint = getSnapPosition(scrollObj, obj, index, direction)
+  state.currentIteration = index
+
+  if (position) {
+    snapPoint.y = isNaN(snapPoint.y) ? position.y : snapPoint.y
+    snapPoint.x = isNaN(snapPoint.x) ? position.x : snapPoint.x
+  }
+
+  snapTo(obj, scrollObj, snapPoint, index, direction, function (end) {
+    state.scrollStart = {
+      y: scrollObj.scrollTop,
+      x: getScrollLeft(scrollObj)
+    }
+
+    if (typeof callback === 'function') {
+      callback(end)
+    }
+  }, instant)
+}
+
+/**
+ * get the snap state of a scroll-container.
+ * the state is a snapshot, the snap type is a copy and the scroll padding is resolved to px.
+ * @param  {Object} container the scroll-container, or the html/body element
+ * @return {Object}           null if the element is no scroll-container
+ */
+export function getSnapState (container) {
+  const obj = getScrollContainer(container)
+  if (typeof obj.snapElements === 'undefined') {
+    return null
+  }
+
+  const index = Math.min(obj.scrollSnapState.currentIteration, obj.snapElements.length - 1)
+  return {
+    index,
+    element: obj.snapElements[index] || null,
+    snapElements: obj.snapElements.slice(),
+    snapType: {
+      x: obj.scrollSnapType.x,
+      y: obj.scrollSnapType.y,
+      strictness: obj.scrollSnapType.strictness
+    },
+    scrollPadding: getScrollPadding(obj, getScrollObj(obj))
+  }
+}
+
+/**
+ * check whether snap decisions of a container are logged and drawn,
+ * with the debug option or `window.__scrollSnapDebug = true` at any time.
+ * @param  {Object}  obj the scroll container
+ * @return {Boolean}
+ */
+function isDebugging (obj) {
+  return getOptions(obj).debug || !!window.__scrollSnapDebug
+}
+
+/**
+ * redraw the debug overlay of a container, or remove it when debugging was turned off.
+ * @param  {Object} obj the scroll container
+ */
+function updateOverlay (obj) {
+  if (isDebugging(obj) || obj.scrollSnapOverlay) {
+    drawOverlay(obj, () => isDebugging(obj) && typeof obj.snapElements !== 'undefined' ? getDebugSnapshot(obj) : null)
+  }
+}
+
+/**
+ * get the geometry the debug overlay draws, relative to the snapport of a container:
+ * the snapport after scroll padding, the snap areas with their alignment lines, the threshold band and the target.
+ * @param  {Object} obj the scroll container
+ * @return {Object}
+ */
+function getDebugSnapshot (obj) {
+  const scrollObj = getScrollObj(obj)
+  const snapType = obj.scrollSnapType
+  const snapport = getSnapportRect(scrollObj)
+  const width = getSnapportWidth(scrollObj)
+  const height = getSnapportHeight(scrollObj)
+  const padding = getScrollPadding(obj, scrollObj)
+  const scrollTop = scrollObj.scrollTop
+  const scrollLeft = getScrollLeft(scrollObj)
+  const reversed = isReversed(scrollObj)
+  // positions in the scrollable area to positions in the snapport, the x axis might start at the right
+  const toX = (x) => reversed ? width - (x - scrollLeft) : x - scrollLeft
+  const toBox = (box) => ({
+    top: box.top - scrollTop,
+    left: reversed ? toX(box.left) - box.width : toX(box.left),
+    width: box.width,
+    height: box.height
+  })
+  const padded = {
+    top: scrollTop + padding.top,
+    left: scrollLeft + padding.left,
+    width: width - padding.left - padding.right,
+    height: height - padding.top - padding.bottom
+  }
+
+  const areas = obj.snapElements.map((snapElement) => {
+    const area = getSnapArea(snapElement, scrollObj)
+    const alignment = getSnapAlignment(snapElement, obj)
+
+    return {
+      box: toBox(area),
+      line: {
+        y: snapType.y && alignment.y !== NONE ? area.top + getSnapLength(area.height, alignment.y, 1) - scrollTop : NaN,
+        x: snapType.x && alignment.x !== NONE ? toX(area.left + getSnapLength(area.width, alignment.x, 1)) : NaN
+      }
+    }
+  })
+
+  // the container snaps back to the target while its alignment line stays within the band
+  const target = Math.min(obj.scrollSnapState.currentIteration, obj.snapElements.length - 1)
+  const current = obj.snapElements[target]
+  const threshold = obj.scrollSnapOptions.threshold
+  const band = {}
+
+  if (current) {
+    const alignment = getSnapAlignment(current, obj)
+    if (snapType.y) {
+      const y = padded.top + getSnapLength(padded.height, alignment.y, 1) - scrollTop
+      band.y = { start: y - getHeight(current) * threshold, end: y + getHeight(current) * threshold }
+    }
+    if (snapType.x) {
+      const x = toX(padded.left + getSnapLength(padded.width, alignment.x, 1))
+      band.x = { start: x - getWidth(current) * threshold, end: x + getWidth(current) * threshold }
+    }
+  }
+
+  return {
+    rect: { top: snapport.top, left: snapport.left, width, height },
+    padded: toBox(padded),
+    areas,
+    band,
+    target
+  }
+}
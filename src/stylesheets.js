@@ -0,0 +1,1136 @@
+const STYLE_RULE = 1
+const IMPORT_RULE = 3
+const MEDIA_RULE = 4
+const SUPPORTS_RULE = 12
+
+/**
+ * at-rules whose rules apply without a condition the scanner can evaluate
+ * @type {Array}
+ */
+const TRANSPARENT_AT_RULES = ['layer', 'container', 'document', '-moz-document']
+
+/**
+ * imports deeper than this are not followed, in case stylesheets import each other
+ * @type {Number}
+ */
+const MAX_IMPORT_DEPTH = 8
+
+/**
+ * the attributes of elements that can change the CSS of the document
+ * @type {Array}
+ */
+const OBSERVED_ATTRIBUTES = ['style', 'media', 'rel', 'disabled', 'href']
+
+/**
+ * ids for the scopes of rules, the document and shadow roots, and for elements with inline styles
+ * @type {Number}
+ */
+let nextId = 0
+
+/**
+ * watch all CSS of the document for rules declaring some properties.
+ * the scanner reads <style> elements, <link> stylesheets, constructed stylesheets, the styles of open shadow roots
+ * and inline styles, and reports the rules whose @media and @supports conditions match.
+ * stylesheets added later are picked up and the media queries are watched, so that matching rules are
+ * reported to doMatched and rules that don't match anymore to undoUnmatched.
+ * stylesheets are read from the CSSOM. browsers drop the properties they don't support from it though,
+ * so unless the browser keeps all the properties looked for, <style> elements are read from their text
+ * and same-origin <link> stylesheets and @imports are fetched. stylesheets whose text can't be read,
+ * like constructed or cross-origin ones, are always read from the CSSOM.
+ * attributes standing in for properties, like `data-scroll-snap-type`, are reported like inline styles, with
+ * a lower precedence than all stylesheets. each group of attributes makes a rule of its own.
+ * @param  {Object} options declarations: the properties to look for, e.g. `scroll-snap-type:*` or `scroll-margin*:*`
+ *                          attributes: groups of attributes mapped to the properties they stand for, optional
+ *                          ignore: a function telling which mutated nodes can't change the CSS, optional
+ * @return {Object}         the scanner, with doMatched, undoUnmatched, getCurrentMatches and destroy
+ */
+export function watchStylesheets (options) {
+  const patterns = options.declarations.map(parsePattern)
+  const attributeGroups = options.attributes || []
+  const ignore = options.ignore || (() => false)
+  const attributeNames = attributeGroups.reduce((names, group) => names.concat(Object.keys(group)), [])
+  // the elements that can make rules, added or removed
+  const candidateSelector = ['style', 'link', '[style]'].concat(attributeNames.map((name) => `[${name}]`)).join(',')
+  const observerOptions = {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeOldValue: true,
+    attributeFilter: OBSERVED_ATTRIBUTES.concat(attributeNames)
+  }
+  const callbacks = { doMatched: [], undoUnmatched: [] }
+  // whether the CSSOM has all declarations the scanner looks for, the texts are only read when it doesn't
+  const readsCSSOM = patterns.every((pattern) => keepsProperty(pattern.property))
+  // the texts of fetched stylesheets by url, null while loading and false when they can't be fetched
+  const texts = {}
+  // the parsed texts of fetched stylesheets by url, <style> elements keep their own
+  const parsedTexts = {}
+  const mediaQueries = {}
+  // the document and the open shadow roots in it, kept up to date with the mutations
+  const roots = [document]
+  let matched = null
+  let timeOutId = null
+  let observer = null
+  let destroyed = false
+
+  /**
+   * update the matching rules once the current task is done, mutations often come in batches.
+   */
+  function scheduleUpdate () {
+    if (timeOutId === null && !destroyed) {
+      timeOutId = setTimeout(update, 0)
+    }
+  }
+
+  /**
+   * collect the rules, and report those that started or stopped matching.
+   */
+  function update () {
+    timeOutId = null
+    const previous = matched || {}
+    const current = {}
+    const added = []
+    const removed = []
+
+    collectRules().forEach((rule) => {
+      if (!isRelevant(rule.declaration, patterns) || !matchesConditions(rule.conditions)) {
+        return
+      }
+
+      const key = getRuleKey(rule)
+      if (!current.hasOwnProperty(key)) {
+        // keep the rule objects of rules that still match, the callbacks can tell them apart.
+        current[key] = previous.hasOwnProperty(key) ? previous[key] : createRule(rule)
+        if (!previous.hasOwnProperty(key)) {
+          added.push(current[key])
+        }
+      }
+    })
+
+    Object.keys(previous).forEach((key) => {
+      if (!current.hasOwnProperty(key)) {
+        removed.push(previous[key])
+      }
+    })
+
+    const initial = matched === null
+    matched = current
+
+    if (removed.length) {
+      callbacks.undoUnmatched.forEach((callback) => callback(createRules(removed)))
+    }
+    if (added.length || initial) {
+      callbacks.doMatched.forEach((callback) => callback(createRules(added)))
+    }
+  }
+
+  /**
+   * collect the rules of all stylesheets and inline styles in cascade order.
+   * @return {Array}
+   */
+  function collectRules () {
+    const rules = []
+
+    roots.forEach((root) => {
+      const scope = getId(root)
+      const nodes = [].slice.call(root.querySelectorAll('style, link[rel~="stylesheet"]'))
+      const sheets = root.adoptedStyleSheets || []
+      const inline = [].slice.call(root.querySelectorAll('[style]'))
+      const attributed = attributeNames.length
+        ? [].slice.call(root.querySelectorAll(attributeNames.map((name) => `[${name}]`).join(',')))
+        : []
+
+      attributed.forEach((el) => {
+        attributeGroups.forEach((group, index) => {
+          rules.push({
+            selectors: null,
+            declaration: readAttributes(el, group),
+            conditions: [],
+            scope: `attributes-${index}-${getId(el)}`,
+            root,
+            element: el
+          })
+        })
+      })
+
+      nodes.forEach((node) => {
+        getNodeRules(node).forEach((rule) => {
+          rules.push(scopeRule(rule, root, scope))
+        })
+      })
+
+      sheets.forEach((sheet) => {
+        readSheet(sheet, [], 0).forEach((rule) => {
+          rules.push(scopeRule(rule, root, scope))
+        })
+      })
+
+      inline.forEach((el) => {
+        rules.push({
+          selectors: null,
+          declaration: getInlineDeclaration(el),
+          conditions: [],
+          scope: `inline-${getId(el)}`,
+          root,
+          element: el
+        })
+      })
+    })
+
+    return rules
+  }
+
+  /**
+   * get the declarations of an inline style the scanner looks for, the style is parsed again once it changed.
+   * other properties are left out, changing them doesn't change the rule.
+   * @param  {Object} el
+   * @return {Object}
+   */
+  function getInlineDeclaration (el) {
+    const text = el.getAttribute('style') || ''
+
+    if (!el.scrollSnapInline || el.scrollSnapInline.text !== text) {
+      el.scrollSnapInline = { text, declaration: filterDeclaration(parseDeclarations(text), patterns) }
+    }
+
+    return el.scrollSnapInline.declaration
+  }
+
+  /**
+   * add the open shadow roots in a subtree to the roots, including nested ones, and observe them.
+   * shadow roots are usually attached before the mutation observer reports their hosts.
+   * @param  {Object}  node
+   * @return {Boolean}      whether a shadow root was added
+   */
+  function addRoots (node) {
+    const hosts = [node].concat([].slice.call(node.querySelectorAll('*')))
+    let added = false
+
+    hosts.forEach((el) => {
+      const root = el.shadowRoot
+      if (!root || roots.indexOf(root) !== -1) {
+        return
+      }
+
+      roots.push(root)
+      if (observer !== null) {
+        observer.observe(root, observerOptions)
+      }
+      addRoots(root)
+      added = true
+    })
+
+    return added
+  }
+
+  /**
+   * forget the shadow roots whose hosts left the document
+   * @return {Boolean} whether a shadow root was removed
+   */
+  function removeRoots () {
+    const length = roots.length
+
+    for (let i = roots.length - 1; i > 0; i--) {
+      if (!isConnected(roots[i].host)) {
+        roots.splice(i, 1)
+      }
+    }
+
+    return roots.length !== length
+  }
+
+  /**
+   * check whether an added or removed element can change the rules, i.e. it is or contains a stylesheet,
+   * an inline style with the properties the scanner looks for or one of the attributes.
+   * @param  {Object}  node
+   * @return {Boolean}
+   */
+  function affectsRules (node) {
+    const candidates = [node].concat([].slice.call(node.querySelectorAll(candidateSelector)))
+
+    return candidates.some((el) => /^(style|link)$/i.test(el.tagName) ||
+      attributeNames.some((name) => el.hasAttribute(name)) ||
+      Object.keys(getInlineDeclaration(el)).length > 0)
+  }
+
+  /**
+   * check whether a mutation can change the rules.
+   * @param  {Object}  mutation MutationRecord
+   * @return {Boolean}
+   */
+  function isRelevantMutation (mutation) {
+    const target = mutation.target
+    if (ignore(target)) {
+      return false
+    }
+
+    if (mutation.type === 'characterData') {
+      return !!target.parentNode && isStyleElement(target.parentNode)
+    }
+
+    if (mutation.type === 'childList') {
+      const isRelevantElement = (node) => isElement(node) && !ignore(node)
+      const added = [].filter.call(mutation.addedNodes, isRelevantElement)
+      const removed = [].filter.call(mutation.removedNodes, isRelevantElement)
+      // every added element is looked at for shadow roots
+      const rootsChanged = added.filter(addRoots).length > 0 || (removed.length > 0 && removeRoots())
+
+      return rootsChanged || isStyleElement(target) || added.concat(removed).some(affectsRules)
+    }
+
+    // inline styles only matter when the properties the scanner looks for changed, not e.g. with an animation
+    const name = mutation.attributeName
+    if (name === 'style') {
+      const previous = filterDeclaration(parseDeclarations(mutation.oldValue || ''), patterns)
+      return getDeclarationKey(previous) !== getDeclarationKey(getInlineDeclaration(target))
+    }
+    if (attributeNames.indexOf(name) !== -1) {
+      return mutation.oldValue !== target.getAttribute(name)
+    }
+
+    // media, rel, disabled or href of a stylesheet
+    return /^(style|link)$/i.test(target.tagName || '')
+  }
+
+  /**
+   * get the rules of a <style> or <link> element.
+   * @param  {Object} node
+   * @return {Array}
+   */
+  function getNodeRules (node) {
+    const sheet = node.sheet
+    const media = node.getAttribute('media')
+    const conditions = media ? [{ media }] : []
+
+    if ((sheet && sheet.disabled) || /(^|\s)alternate(\s|$)/i.test(node.getAttribute('rel') || '')) {
+      return []
+    }
+
+    if (readsCSSOM) {
+      return sheet ? readSheet(sheet, conditions, 0) : []
+    }
+
+    if (node.tagName.toLowerCase() === 'style') {
+      return getTextRules(node.textContent, node, document.baseURI || window.location.href, sheet, conditions, 0)
+    }
+
+    const href = node.href
+    const text = href ? fetchText(href) : false
+    if (typeof text === 'string') {
+      return getTextRules(text, getParsedHolder(href), href, sheet, conditions, 0)
+    }
+
+    // cross-origin stylesheets aren't fetched, their CSSOM can be read when they are served with CORS.
+    return text === false && sheet ? readSheet(sheet, conditions, 0) : []
+  }
+
+  /**
+   * get the rules of a stylesheet text, including the rules of the stylesheets it imports.
+   * imported stylesheets that aren't fetched, like cross-origin ones, are read from the CSSOM.
+   * @param  {String} text
+   * @param  {Object} holder     where the parsed text is kept
+   * @param  {String} base       url relative imports resolve against
+   * @param  {Object} sheet      the CSSOM of the stylesheet, null if it has none
+   * @param  {Array}  conditions conditions of the stylesheet
+   * @param  {Number} depth      depth of imports
+   * @return {Array}
+   */
+  function getTextRules (text, holder, base, sheet, conditions, depth) {
+    const parsed = parseCached(text, holder)
+    let rules = []
+
+    parsed.imports.forEach((imported) => {
+      if (depth >= MAX_IMPORT_DEPTH) {
+        return
+      }
+
+      const href = resolveUrl(imported.href, base)
+      const importedText = fetchText(href)
+      const importedSheet = findImportedSheet(sheet, href, base)
+
+      if (typeof importedText === 'string') {
+        rules = rules.concat(getTextRules(importedText, getParsedHolder(href), href, importedSheet,
+          conditions.concat(imported.conditions), depth + 1))
+      } else if (importedText === false && importedSheet) {
+        // the CSSOM of the imported stylesheet has the media of the @import
+        rules = rules.concat(readSheet(importedSheet, conditions, depth + 1))
+      }
+    })
+
+    parsed.rules.forEach((rule) => {
+      rules.push(withConditions(rule, conditions))
+    })
+
+    return rules
+  }
+
+  /**
+   * parse a stylesheet text, unless the text didn't change since it was parsed last.
+   * @param  {String} text
+   * @param  {Object} holder a <style> element, or the holder of a fetched stylesheet
+   * @return {Object}        the rules and imports
+   */
+  function parseCached (text, holder) {
+    if (!holder.scrollSnapParsed || holder.scrollSnapParsed.text !== text) {
+      const parsed = { rules: [], imports: [] }
+      parseStylesheet(text, [], parsed)
+      holder.scrollSnapParsed = { text, parsed }
+    }
+
+    return holder.scrollSnapParsed.parsed
+  }
+
+  /**
+   * get the holder of the parsed text of a fetched stylesheet
+   * @param  {String} href
+   * @return {Object}
+   */
+  function getParsedHolder (href) {
+    if (!parsedTexts.hasOwnProperty(href)) {
+      parsedTexts[href] = {}
+    }
+    return parsedTexts[href]
+  }
+
+  /**
+   * get the text of a stylesheet from its url, browsers usually have it cached.
+   * @param  {String} href
+   * @return {String}      null while loading, false if it can't be fetched
+   */
+  function fetchText (href) {
+    if (texts.hasOwnProperty(href)) {
+      return texts[href]
+    }
+
+    // other origins would need CORS, and would be requested a second time just for the polyfill
+    if (!isSameOrigin(href)) {
+      texts[href] = false
+      return texts[href]
+    }
+
+    texts[href] = null
+    const xhr = new window.XMLHttpRequest()
+
+    xhr.onreadystatechange = () => {
+      if (xhr.readyState !== 4) {
+        return
+      }
+      texts[href] = (xhr.status >= 200 && xhr.status < 300) || xhr.status === 304 ? xhr.responseText : false
+      scheduleUpdate()
+    }
+
+    try {
+      xhr.open('GET', href, true)
+      xhr.send(null)
+    } catch (e) {
+      texts[href] = false
+    }
+
+    return texts[href]
+  }
+
+  /**
+   * check whether all conditions of a rule match, and watch its media queries.
+   * @param  {Array}   conditions
+   * @return {Boolean}
+   */
+  function matchesConditions (conditions) {
+    return conditions.every((condition) => {
+      if (typeof condition.supports !== 'undefined') {
+        // browsers without CSS.supports() don't know @supports either
+        return !!(window.CSS && window.CSS.supports && window.CSS.supports(condition.supports))
+      }
+
+      const media = condition.media.trim()
+      if (!media || media.toLowerCase() === 'all' || typeof window.matchMedia !== 'function') {
+        return true
+      }
+
+      if (!mediaQueries.hasOwnProperty(media)) {
+        mediaQueries[media] = window.matchMedia(media)
+        addMediaListener(mediaQueries[media], scheduleUpdate)
+      }
+
+      return mediaQueries[media].matches
+    })
+  }
+
+  /**
+   * the mutation observer callback, updates when an element, a style or an inline style changed.
+   * @param  {Array} mutations
+   */
+  function onMutation (mutations) {
+    // every mutation is looked at, to keep track of the shadow roots
+    const relevant = mutations.filter(isRelevantMutation).length > 0
+
+    if (relevant) {
+      scheduleUpdate()
+    }
+  }
+
+  /**
+   * the load handler, <link> stylesheets read from the CSSOM are available once loaded.
+   * @param  {Object} evt
+   */
+  function onLoad (evt) {
+    if (/^link$/i.test(evt.target.tagName || '')) {
+      scheduleUpdate()
+    }
+  }
+
+  if (typeof window.MutationObserver !== 'undefined') {
+    observer = new window.MutationObserver(onMutation)
+    observer.observe(document.documentElement, observerOptions)
+  }
+  addRoots(document.documentElement)
+  // load events don't bubble, but they can be captured
+  document.addEventListener('load', onLoad, true)
+
+  const scanner = {
+    /**
+     * add a callback for rules that start matching. all matching rules are reported initially.
+     * @param  {Function} callback
+     * @return {Object}            the scanner
+     */
+    doMatched (callback) {
+      callbacks.doMatched.push(callback)
+      scheduleUpdate()
+      return scanner
+    },
+
+    /**
+     * add a callback for rules that don't match anymore.
+     * @param  {Function} callback
+     * @return {Object}            the scanner
+     */
+    undoUnmatched (callback) {
+      callbacks.undoUnmatched.push(callback)
+      return scanner
+    },
+
+    /**
+     * get all rules matching right now.
+     * @return {Object}
+     */
+    getCurrentMatches () {
+      return createRules(Object.keys(matched || {}).map((key) => matched[key]))
+    },
+
+    /**
+     * stop watching the stylesheets.
+     */
+    destroy () {
+      destroyed = true
+      clearTimeout(timeOutId)
+      timeOutId = null
+
+      if (observer !== null) {
+        observer.disconnect()
+        observer = null
+      }
+      document.removeEventListener('load', onLoad, true)
+
+      Object.keys(mediaQueries).forEach((media) => {
+        removeMediaListener(mediaQueries[media], scheduleUpdate)
+      })
+      roots.length = 1
+    }
+  }
+
+  return scanner
+}
+
+/**
+ * parse a stylesheet text into its style rules and imports.
+ * @param  {String} text
+ * @param  {Array}  conditions the @media and @supports conditions of the block
+ * @param  {Object} parsed     the rules and imports found
+ */
+export function parseStylesheet (text, conditions, parsed) {
+  const css = text.replace(/\/\*[\s\S]*?\*\//g, '')
+  let index = 0
+
+  while (index < css.length) {
+    const end = findTopLevel(css, index, '{;')
+    const prelude = css.slice(index, end).trim()
+
+    if (end >= css.length) {
+      break
+    }
+
+    // statements, like @import and @charset
+    if (css.charAt(end) === ';') {
+      const imported = /^@import\s+(?:url\(\s*)?(["']?)([^"')\s]+)\1\s*\)?\s*([\s\S]*)$/i.exec(prelude)
+      if (imported) {
+        parsed.imports.push({
+          href: imported[2],
+          conditions: conditions.concat(imported[3] ? [{ media: imported[3] }] : [])
+        })
+      }
+      index = end + 1
+      continue
+    }
+
+    const close = findClosingBrace(css, end)
+    const block = css.slice(end + 1, close)
+    const atRule = /^@([\w-]+)\s*([\s\S]*)$/.exec(prelude)
+    index = close + 1
+
+    if (!atRule) {
+      parsed.rules.push({ selectors: prelude, declaration: parseDeclarations(block), conditions })
+      continue
+    }
+
+    const name = atRule[1].toLowerCase()
+    if (name === 'media') {
+      parseStylesheet(block, conditions.concat([{ media: atRule[2] }]), parsed)
+    } else if (name === 'supports') {
+      parseStylesheet(block, conditions.concat([{ supports: atRule[2] }]), parsed)
+    } else if (TRANSPARENT_AT_RULES.indexOf(name) !== -1) {
+      parseStylesheet(block, conditions, parsed)
+    }
+    // other at-rules, like @font-face and @keyframes, don't contain style rules
+  }
+}
+
+/**
+ * parse the declarations of a style rule or an inline style, in their order.
+ * a property declared twice keeps the later value at the later position, unless the earlier one is important.
+ * @param  {String} text
+ * @return {Object}
+ */
+export function parseDeclarations (text) {
+  const declaration = {}
+  const important = []
+  let index = 0
+
+  while (index < text.length) {
+    const end = findTopLevel(text, index, ';{')
+    const part = text.slice(index, end)
+
+    // nested rules are skipped
+    if (text.charAt(end) === '{') {
+      index = findClosingBrace(text, end) + 1
+      continue
+    }
+    index = end + 1
+
+    const colon = part.indexOf(':')
+    if (colon === -1) {
+      continue
+    }
+
+    const property = part.slice(0, colon).trim()
+    // custom properties are case-sensitive
+    const name = property.indexOf('--') === 0 ? property : property.toLowerCase()
+    const value = part.slice(colon + 1).trim()
+    const isImportant = /!\s*important$/i.test(value)
+
+    // a later declaration doesn't override an important one
+    if (name && value && (isImportant || important.indexOf(name) === -1)) {
+      delete declaration[name]
+      declaration[name] = isImportant ? value.replace(/!\s*important$/i, '').trim() : value
+      if (isImportant) {
+        important.push(name)
+      }
+    }
+  }
+
+  return declaration
+}
+
+/**
+ * find the next of some characters outside of strings, parentheses and blocks
+ * @param  {String} text
+ * @param  {Number} index where to start
+ * @param  {String} chars
+ * @return {Number}       the length of the text if there is none
+ */
+function findTopLevel (text, index, chars) {
+  let depth = 0
+  let quote = null
+
+  for (let i = index; i < text.length; i++) {
+    const char = text.charAt(i)
+
+    if (quote !== null) {
+      if (char === '\\') {
+        i++
+      } else if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1)
+    } else if (depth === 0 && chars.indexOf(char) !== -1) {
+      return i
+    }
+  }
+
+  return text.length
+}
+
+/**
+ * find the brace closing a block
+ * @param  {String} text
+ * @param  {Number} index the index of the opening brace
+ * @return {Number}       the length of the text if the block isn't closed
+ */
+function findClosingBrace (text, index) {
+  let depth = 0
+  let quote = null
+
+  for (let i = index; i < text.length; i++) {
+    const char = text.charAt(i)
+
+    if (quote !== null) {
+      if (char === '\\') {
+        i++
+      } else if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '{') {
+      depth++
+    } else if (char === '}' && --depth === 0) {
+      return i
+    }
+  }
+
+  return text.length
+}
+
+/**
+ * read the rules of a stylesheet from the CSSOM.
+ * @param  {Object} sheet
+ * @param  {Array}  conditions conditions of the stylesheet
+ * @param  {Number} depth      depth of imports
+ * @return {Array}             empty if the rules can't be read, e.g. of a cross-origin stylesheet
+ */
+function readSheet (sheet, conditions, depth) {
+  let cssRules
+  try {
+    cssRules = sheet.cssRules
+  } catch (e) {
+    return []
+  }
+
+  const media = sheet.media && sheet.media.mediaText
+  return cssRules ? readRules(cssRules, media ? conditions.concat([{ media }]) : conditions, depth) : []
+}
+
+/**
+ * read the style rules of a list of CSSOM rules, including those in @media, @supports and imported stylesheets.
+ * @param  {Object} cssRules
+ * @param  {Array}  conditions
+ * @param  {Number} depth      depth of imports
+ * @return {Array}
+ */
+function readRules (cssRules, conditions, depth) {
+  let rules = []
+
+  for (let i = 0; i < cssRules.length; i++) {
+    const cssRule = cssRules[i]
+
+    switch (cssRule.type) {
+      case STYLE_RULE:
+        rules.push({ selectors: cssRule.selectorText, declaration: readDeclaration(cssRule.style), conditions })
+        break
+      case IMPORT_RULE:
+        if (cssRule.styleSheet && depth < MAX_IMPORT_DEPTH) {
+          rules = rules.concat(readSheet(cssRule.styleSheet, conditions, depth + 1))
+        }
+        break
+      case MEDIA_RULE:
+        rules = rules.concat(readRules(cssRule.cssRules, conditions.concat([{ media: cssRule.media.mediaText }]), depth))
+        break
+      case SUPPORTS_RULE:
+        rules = rules.concat(readRules(cssRule.cssRules, conditions.concat([{ supports: cssRule.conditionText }]), depth))
+        break
+      default:
+        // grouping rules like @layer and @container, @keyframes only contain keyframes
+        if (cssRule.cssRules && typeof cssRule.name === 'undefined') {
+          rules = rules.concat(readRules(cssRule.cssRules, conditions, depth))
+        }
+    }
+  }
+
+  return rules
+}
+
+/**
+ * read the declarations of a CSSOM style, shorthands are expanded to longhands by the browser.
+ * @param  {Object} style
+ * @return {Object}
+ */
+function readDeclaration (style) {
+  const declaration = {}
+
+  for (let i = 0; i < style.length; i++) {
+    declaration[style[i]] = style.getPropertyValue(style[i])
+  }
+
+  return declaration
+}
+
+/**
+ * read the values of attributes standing in for properties
+ * @param  {Object} el
+ * @param  {Object} group attributes mapped to the properties they stand for
+ * @return {Object}       the declaration
+ */
+function readAttributes (el, group) {
+  const declaration = {}
+
+  Object.keys(group).forEach((name) => {
+    const value = el.getAttribute(name)
+    if (value !== null && value.trim()) {
+      declaration[group[name]] = value.trim()
+    }
+  })
+
+  return declaration
+}
+
+/**
+ * parse a declaration pattern like `scroll-snap-type:*` or `scroll-margin*:*`,
+ * a trailing * of the property matches any suffix.
+ * @param  {String} declaration
+ * @return {Object}
+ */
+function parsePattern (declaration) {
+  const property = declaration.split(':')[0].trim().toLowerCase()
+  const prefix = property.charAt(property.length - 1) === '*'
+
+  return {
+    property: prefix ? property.slice(0, -1) : property,
+    prefix
+  }
+}
+
+/**
+ * check whether a declaration contains a property the scanner looks for
+ * @param  {Object}  declaration
+ * @param  {Array}   patterns
+ * @return {Boolean}
+ */
+function isRelevant (declaration, patterns) {
+  return Object.keys(declaration).some((name) => isRelevantProperty(name, patterns))
+}
+
+/**
+ * get the declarations of the properties the scanner looks for
+ * @param  {Object} declaration
+ * @param  {Array}  patterns
+ * @return {Object}
+ */
+function filterDeclaration (declaration, patterns) {
+  const filtered = {}
+
+  Object.keys(declaration).forEach((name) => {
+    if (isRelevantProperty(name, patterns)) {
+      filtered[name] = declaration[name]
+    }
+  })
+
+  return filtered
+}
+
+/**
+ * check whether the scanner looks for a property
+ * @param  {String}  name
+ * @param  {Array}   patterns
+ * @return {Boolean}
+ */
+function isRelevantProperty (name, patterns) {
+  return patterns.some((pattern) => pattern.prefix ? name.indexOf(pattern.property) === 0 : name === pattern.property)
+}
+
+/**
+ * check whether the browser keeps a property in the CSSOM, it drops those it doesn't support.
+ * @param  {String}  property
+ * @return {Boolean}
+ */
+function keepsProperty (property) {
+  const name = property.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())
+  return name in document.documentElement.style
+}
+
+/**
+ * get the id of a scope or an element with an inline style
+ * @param  {Object} obj
+ * @return {Number}
+ */
+function getId (obj) {
+  if (typeof obj.scrollSnapId === 'undefined') {
+    obj.scrollSnapId = nextId++
+  }
+  return obj.scrollSnapId
+}
+
+/**
+ * get a key that is the same for the same rule, in the same scope and under the same conditions.
+ * @param  {Object} rule
+ * @return {String}
+ */
+function getRuleKey (rule) {
+  const conditions = rule.conditions.map((condition) =>
+    typeof condition.supports !== 'undefined' ? `@supports ${condition.supports}` : `@media ${condition.media}`)
+
+  return [rule.scope, conditions.join(' '), rule.selectors, getDeclarationKey(rule.declaration)].join('\n')
+}
+
+/**
+ * get a key that is the same for the same declarations in the same order
+ * @param  {Object} declaration
+ * @return {String}
+ */
+function getDeclarationKey (declaration) {
+  return Object.keys(declaration).map((name) => `${name}:${declaration[name]}`).join(';')
+}
+
+/**
+ * add the scope to a rule of a stylesheet
+ * @param  {Object} rule
+ * @param  {Object} root  the document or the shadow root of the stylesheet
+ * @param  {Number} scope id of the root
+ * @return {Object}
+ */
+function scopeRule (rule, root, scope) {
+  return {
+    selectors: rule.selectors,
+    declaration: rule.declaration,
+    conditions: rule.conditions,
+    scope,
+    root,
+    element: null
+  }
+}
+
+/**
+ * prepend the conditions of a stylesheet to the conditions of one of its rules
+ * @param  {Object} rule
+ * @param  {Array}  conditions
+ * @return {Object}
+ */
+function withConditions (rule, conditions) {
+  return {
+    selectors: rule.selectors,
+    declaration: rule.declaration,
+    conditions: conditions.concat(rule.conditions)
+  }
+}
+
+/**
+ * create the rule object reported to the callbacks.
+ * @param  {Object} rule
+ * @return {Object}
+ */
+function createRule (rule) {
+  return {
+    /**
+     * the selectors of the rule, null for an inline style or attributes
+     * @return {String}
+     */
+    getSelectors () {
+      return rule.selectors
+    },
+
+    /**
+     * the declarations of the rule in their order
+     * @return {Object}
+     */
+    getDeclaration () {
+      return rule.declaration
+    },
+
+    /**
+     * the document or the shadow root the rule applies in
+     * @return {Object}
+     */
+    getRoot () {
+      return rule.root
+    },
+
+    /**
+     * the elements the rule applies to, in the document or the shadow root of its stylesheet
+     * @return {Array}
+     */
+    getElements () {
+      if (rule.element !== null) {
+        return [rule.element]
+      }
+
+      try {
+        return [].slice.call(rule.root.querySelectorAll(rule.selectors))
+      } catch (e) {
+        // selectors the browser doesn't know
+        return []
+      }
+    }
+  }
+}
+
+/**
+ * create the list of rules reported to the callbacks
+ * @param  {Array}  rules
+ * @return {Object}
+ */
+function createRules (rules) {
+  return {
+    length: rules.length,
+    each (callback) {
+      rules.forEach(callback)
+    }
+  }
+}
+
+/**
+ * resolve a url relative to the url of a stylesheet
+ * @param  {String} href
+ * @param  {String} base
+ * @return {String}
+ */
+function resolveUrl (href, base) {
+  try {
+    return new window.URL(href, base).href
+  } catch (e) {
+    // IE has no URL constructor
+    return createLink(href, base).href || href
+  }
+}
+
+/**
+ * check whether a url has the origin of the document
+ * @param  {String}  href an absolute url
+ * @return {Boolean}
+ */
+function isSameOrigin (href) {
+  try {
+    return new window.URL(href).origin === window.location.origin
+  } catch (e) {
+    // IE has no URL constructor, and links have no origin there
+    const link = createLink(href)
+    return getOrigin(link) === getOrigin(window.location)
+  }
+}
+
+/**
+ * create a link resolving a url in a document of its own, whose base url is set,
+ * for browsers without the URL constructor.
+ * @param  {String} href
+ * @param  {String} base url relative urls resolve against, the url of the document if not given
+ * @return {Object}      the link, with the parts of the resolved url
+ */
+function createLink (href, base) {
+  const doc = document.implementation.createHTMLDocument('')
+  const baseElement = doc.createElement('base')
+  const link = doc.createElement('a')
+
+  baseElement.href = base || window.location.href
+  doc.head.appendChild(baseElement)
+  doc.body.appendChild(link)
+  link.href = href
+
+  return link
+}
+
+/**
+ * get the origin of a location or a link from its parts.
+ * the default port is left out, IE reports it for links but not for the location.
+ * @param  {Object} location
+ * @return {String}
+ */
+function getOrigin (location) {
+  const defaultPort = location.protocol === 'https:' ? '443' : '80'
+  const port = location.port && location.port !== defaultPort ? `:${location.port}` : ''
+
+  return `${location.protocol}//${location.hostname}${port}`
+}
+
+/**
+ * check whether a node is in the document, including nodes in the shadow roots of hosts in it.
+ * @param  {Object}  node
+ * @return {Boolean}
+ */
+function isConnected (node) {
+  if (typeof node.isConnected === 'boolean') {
+    return node.isConnected
+  }
+
+  // IE has no isConnected, nor shadow roots whose hosts would have to be followed
+  return document.documentElement.contains(node)
+}
+
+/**
+ * find the CSSOM of a stylesheet imported by another one
+ * @param  {Object} sheet the CSSOM of the importing stylesheet, null if it has none
+ * @param  {String} href  the absolute url of the imported stylesheet
+ * @param  {String} base  url relative imports resolve against
+ * @return {Object}       null if it isn't found
+ */
+function findImportedSheet (sheet, href, base) {
+  let cssRules
+  try {
+    cssRules = (sheet && sheet.cssRules) || []
+  } catch (e) {
+    return null
+  }
+
+  for (let i = 0; i < cssRules.length; i++) {
+    if (cssRules[i].type === IMPORT_RULE && resolveUrl(cssRules[i].href, base) === href) {
+      return cssRules[i].styleSheet
+    }
+  }
+
+  return null
+}
+
+/**
+ * check whether a node is an element
+ * @param  {Object}  node
+ * @return {Boolean}
+ */
+function isElement (node) {
+  return node.nodeType === 1
+}
+
+/**
+ * check whether a node is a <style> element
+ * @param  {Object}  node
+ * @return {Boolean}
+ */
+function isStyleElement (node) {
+  return /^style$/i.test(node.tagName || '')
+}
+
+/**
+ * listen to changes of a media query list, with the deprecated addListener in older browsers.
+ * @param {Object}   mql
+ * @param {Function} listener
+ */
+function addMediaListener (mql, listener) {
+  if (typeof mql.addEventListener === 'function') {
+    mql.addEventListener('change', listener, false)
+  } else if (typeof mql.addListener === 'function') {
+    mql.addListener(listener)
+  }
+}
+
+/**
+ * stop listening to changes of a media query list.
+ * @param {Object}   mql
+ * @param {Function} listener
+ */
+function removeMediaListener (mql, listener) {
+  if (typeof mql.removeEventListener === 'function') {
+    mql.removeEventListener('change', listener, false)
+  } else if (typeof mql.removeListener === 'function') {
+    mql.removeListener(listener)
+  }
+}
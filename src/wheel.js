@@ -0,0 +1,92 @@
+import { WHEEL_TIMEOUT } from './constants'
+import { getScrollObj, isReversed } from './geometry'
+import { getStepIndex, interruptSnap, isInNestedScroller, isSnapping, scrollToSnap } from './snap'
+
+/**
+ * the legacy wheelDelta of one mouse wheel notch
+ * @type {Number}
+ */
+const WHEEL_NOTCH = 120
+
+/**
+ * wheel handler
+ * this is the callback for wheel events. a notch of a mouse wheel moves the container to the adjacent snap point,
+ * the deltas of a trackpad scroll natively and their inertia postpones the snap until it has decayed.
+ */
+export function wheelHandler (evt) {
+  const obj = evt.currentTarget
+  const state = obj.scrollSnapState
+
+  // zooming, or containers with `scroll-snap-type: none` scroll freely.
+  if (!state || evt.ctrlKey || evt.defaultPrevented || !isSnapping(obj)) {
+    return
+  }
+
+  // browsers scroll horizontally with shift and a vertical wheel
+  const axis = Math.abs(evt.deltaX) > Math.abs(evt.deltaY) || (evt.shiftKey && !evt.deltaX) ? 'x' : 'y'
+  const delta = evt.deltaX && axis === 'x' ? evt.deltaX : evt.deltaY
+
+  // the container doesn't snap on this axis, or a scrollable element inside the container should scroll instead.
+  if (!delta || !obj.scrollSnapType[axis] || isInNestedScroller(evt.target, obj, axis)) {
+    return
+  }
+
+  if (isWheelNotch(evt, state, delta)) {
+    const step = (delta > 0 ? 1 : -1) * (axis === 'x' && isReversed(getScrollObj(obj)) ? -1 : 1)
+    const index = getStepIndex(obj, axis, step)
+
+    // the wheel scrolls as usual inside a large snap area
+    if (index === null) {
+      return
+    }
+
+    state.wheel = null
+    evt.preventDefault()
+
+    if (index !== -1) {
+      scrollToSnap(obj, index)
+    }
+    return
+  }
+
+  const now = Date.now()
+  const magnitude = Math.abs(delta)
+  const previous = state.wheel
+  state.wheel = { time: now, magnitude }
+
+  if (state.animationFrame) {
+    if (previous && now - previous.time < WHEEL_TIMEOUT && magnitude <= previous.magnitude) {
+      // decaying deltas are the inertia of the scroll being snapped, they would fight the animation.
+      state.wheel.magnitude = previous.magnitude
+      evt.preventDefault()
+    } else {
+      // growing deltas are a new swipe
+      interruptSnap(obj, state)
+    }
+  }
+}
+
+/**
+ * check whether a wheel event comes from a notch of a mouse wheel rather than from a trackpad.
+ * notches scroll by lines or pages, or by pixels with a multiple of 120 as the legacy wheelDelta, on one axis only.
+ * trackpads produce such deltas too now and then, but not event after event: a notch in pixels
+ * has to start a series of wheel events, or repeat the delta of the notch before it.
+ * @param  {Object}  evt   the wheel event
+ * @param  {Object}  state the scroll state of the container
+ * @param  {Number}  delta the delta on the axis the event scrolls
+ * @return {Boolean}
+ */
+function isWheelNotch (evt, state, delta) {
+  const now = Date.now()
+  const previous = state.lastWheel
+  const wheelDelta = evt.wheelDeltaY || evt.wheelDeltaX || evt.wheelDelta
+  let notch = !!evt.deltaMode
+
+  if (!notch && !!wheelDelta && wheelDelta % WHEEL_NOTCH === 0 && !(evt.deltaX && evt.deltaY)) {
+    const series = previous !== null && now - previous.time < WHEEL_TIMEOUT
+    notch = !series || (previous.notch && Math.abs(previous.delta) === Math.abs(delta))
+  }
+
+  state.lastWheel = { time: now, delta, notch }
+  return notch
+}